@@ -0,0 +1,30 @@
+// class hierarchy generated by tools/build-hierarchy.js - do not edit
+var classHierarchy = [
+{"name":"avro.codec.binarydecoder.BinaryDecoder","kind":"classdeclaration","path":"./avro/codec/binarydecoder/BinaryDecoder.html","bases":["avro.codec.decoder.Decoder"],"methods":[{"name":"doReadItemCount","attributes":[]},{"name":"doReadLong","attributes":[]},{"name":"doSkipItems","attributes":[]},{"name":"readArrayNext","attributes":["override"]},{"name":"readEnum","attributes":["override"]},{"name":"readMapNext","attributes":["override"]},{"name":"readMapStart","attributes":["override"]},{"name":"readUnionIndex","attributes":["override"]},{"name":"skipMap","attributes":["override"]},{"name":"this","attributes":[]},{"name":"readNull","attributes":["override"]},{"name":"readBoolean","attributes":["override"]},{"name":"readInt","attributes":["override"]},{"name":"readLong","attributes":["override"]},{"name":"readFloat","attributes":["override"]},{"name":"readDouble","attributes":["override"]},{"name":"readString","attributes":["override"]},{"name":"skipString","attributes":["override"]},{"name":"readBytes","attributes":["override"]},{"name":"skipBytes","attributes":["override"]},{"name":"readFixed","attributes":["override"]},{"name":"skipFixed","attributes":["override"]},{"name":"readRecordStart","attributes":["override"]},{"name":"readRecordKey","attributes":["override"]},{"name":"readRecordEnd","attributes":["override"]},{"name":"readArrayStart","attributes":["override"]},{"name":"skipArray","attributes":["override"]},{"name":"readUnionEnd","attributes":["override"]}]},
+{"name":"avro.codec.binaryencoder.BinaryEncoder","kind":"classdeclaration","path":"./avro/codec/binaryencoder/BinaryEncoder.html","bases":["avro.codec.encoder.Encoder"],"methods":[{"name":"this","attributes":[]},{"name":"writeNull","attributes":["override"]},{"name":"writeBoolean","attributes":["override"]},{"name":"writeInt","attributes":["override"]},{"name":"writeLong","attributes":["override"]},{"name":"writeFloat","attributes":["override"]},{"name":"writeDouble","attributes":["override"]},{"name":"writeString","attributes":["override"]},{"name":"writeRecordKey","attributes":["override"]},{"name":"writeMapKey","attributes":["override"]},{"name":"writeFixed","attributes":["override"]},{"name":"writeBytes","attributes":["override"]},{"name":"writeEnum","attributes":["override"]},{"name":"writeArrayStart","attributes":["override"]},{"name":"setItemCount","attributes":["override"]},{"name":"startItem","attributes":["override"]},{"name":"writeArrayEnd","attributes":["override"]},{"name":"writeMapStart","attributes":["override"]},{"name":"writeMapEnd","attributes":["override"]},{"name":"writeRecordStart","attributes":["override"]},{"name":"writeRecordEnd","attributes":["override"]},{"name":"writeUnionStart","attributes":["override"]},{"name":"writeUnionType","attributes":["override"]},{"name":"writeUnionEnd","attributes":["override"]},{"name":"flush","attributes":["override"]},{"name":"writeZero","attributes":[]}]},
+{"name":"avro.codec.decoder.Decoder","kind":"classdeclaration","path":"./avro/codec/decoder/Decoder.html","bases":[],"methods":[{"name":"readArrayNext","attributes":["abstract"]},{"name":"readArrayStart","attributes":["abstract"]},{"name":"readBoolean","attributes":["abstract"]},{"name":"readBytes","attributes":["abstract"]},{"name":"readDouble","attributes":["abstract"]},{"name":"readEnum","attributes":["abstract"]},{"name":"readFixed","attributes":["abstract"]},{"name":"readFloat","attributes":["abstract"]},{"name":"readInt","attributes":["abstract"]},{"name":"readLong","attributes":["abstract"]},{"name":"readMapNext","attributes":["abstract"]},{"name":"readMapStart","attributes":["abstract"]},{"name":"readNull","attributes":["abstract"]},{"name":"readString","attributes":["abstract"]},{"name":"readUnionEnd","attributes":["abstract"]},{"name":"readUnionIndex","attributes":["abstract"]},{"name":"skipArray","attributes":["abstract"]},{"name":"skipBytes","attributes":["abstract"]},{"name":"skipFixed","attributes":["abstract"]},{"name":"skipMap","attributes":["abstract"]},{"name":"skipString","attributes":["abstract"]},{"name":"readRecordStart","attributes":["abstract"]},{"name":"readRecordKey","attributes":["abstract"]},{"name":"readRecordEnd","attributes":["abstract"]}]},
+{"name":"avro.codec.encoder.Encoder","kind":"classdeclaration","path":"./avro/codec/encoder/Encoder.html","bases":[],"methods":[{"name":"flush","attributes":["abstract"]},{"name":"setItemCount","attributes":["abstract"]},{"name":"startItem","attributes":["abstract"]},{"name":"writeArrayEnd","attributes":["abstract"]},{"name":"writeArrayStart","attributes":["abstract"]},{"name":"writeBoolean","attributes":["abstract"]},{"name":"writeBytes","attributes":["abstract"]},{"name":"writeDouble","attributes":["abstract"]},{"name":"writeEnum","attributes":["abstract"]},{"name":"writeFixed","attributes":["abstract"]},{"name":"writeFloat","attributes":["abstract"]},{"name":"writeInt","attributes":["abstract"]},{"name":"writeLong","attributes":["abstract"]},{"name":"writeMapEnd","attributes":["abstract"]},{"name":"writeMapStart","attributes":["abstract"]},{"name":"writeNull","attributes":["abstract"]},{"name":"writeRecordEnd","attributes":["abstract"]},{"name":"writeRecordStart","attributes":["abstract"]},{"name":"writeString","attributes":["abstract"]},{"name":"writeUnionType","attributes":["abstract"]},{"name":"writeRecordKey","attributes":["abstract"]},{"name":"writeMapKey","attributes":["abstract"]},{"name":"writeUnionStart","attributes":["abstract"]},{"name":"writeUnionEnd","attributes":["abstract"]}]},
+{"name":"avro.codec.jsondecoder.JsonDecoder","kind":"classdeclaration","path":"./avro/codec/jsondecoder/JsonDecoder.html","bases":["avro.codec.decoder.Decoder"],"methods":[{"name":"skipComposite","attributes":[]},{"name":"this","attributes":[]},{"name":"readNull","attributes":["override"]},{"name":"readBoolean","attributes":["override"]},{"name":"readLong","attributes":["override"]},{"name":"readInt","attributes":["override"]},{"name":"readDouble","attributes":["override"]},{"name":"readFloat","attributes":["override"]},{"name":"readString","attributes":["override"]},{"name":"skipString","attributes":["override"]},{"name":"toBytes","attributes":[]},{"name":"readBytes","attributes":["override"]},{"name":"skipBytes","attributes":["override"]},{"name":"readFixed","attributes":["override"]},{"name":"skipFixed","attributes":["override"]},{"name":"readEnum","attributes":["override"]},{"name":"readRecordStart","attributes":["override"]},{"name":"readRecordKey","attributes":["override"]},{"name":"readRecordEnd","attributes":["override"]},{"name":"readArrayStart","attributes":["override"]},{"name":"readArrayNext","attributes":["override"]},{"name":"skipArray","attributes":["override"]},{"name":"readMapStart","attributes":["override"]},{"name":"readMapNext","attributes":["override"]},{"name":"skipMap","attributes":["override"]},{"name":"readUnionIndex","attributes":["override"]},{"name":"readUnionEnd","attributes":["override"]}]},
+{"name":"avro.codec.jsonencoder.JsonEncoder","kind":"classdeclaration","path":"./avro/codec/jsonencoder/JsonEncoder.html","bases":["avro.codec.encoder.Encoder"],"methods":[{"name":"this","attributes":[]},{"name":"writeNull","attributes":["override"]},{"name":"writeBoolean","attributes":["override"]},{"name":"writeInt","attributes":["override"]},{"name":"writeLong","attributes":["override"]},{"name":"writeFloat","attributes":["override"]},{"name":"writeDouble","attributes":["override"]},{"name":"writeString","attributes":["override"]},{"name":"writeRecordKey","attributes":["override"]},{"name":"writeMapKey","attributes":["override"]},{"name":"writeFixed","attributes":["override"]},{"name":"writeBytes","attributes":["override"]},{"name":"writeEnum","attributes":["override"]},{"name":"writeArrayStart","attributes":["override"]},{"name":"setItemCount","attributes":["override"]},{"name":"startItem","attributes":["override"]},{"name":"writeArrayEnd","attributes":["override"]},{"name":"writeMapStart","attributes":["override"]},{"name":"writeMapEnd","attributes":["override"]},{"name":"writeRecordStart","attributes":["override"]},{"name":"writeRecordEnd","attributes":["override"]},{"name":"writeUnionStart","attributes":["override"]},{"name":"writeUnionType","attributes":["override"]},{"name":"writeUnionEnd","attributes":["override"]},{"name":"flush","attributes":["override"]}]},
+{"name":"avro.codec.jsonlexer.JsonLexer","kind":"classdeclaration","path":"./avro/codec/jsonlexer/JsonLexer.html","bases":[],"methods":[{"name":"advance","attributes":[]},{"name":"boolValue","attributes":[]},{"name":"cur","attributes":[]},{"name":"doAdvance","attributes":[]},{"name":"doubleValue","attributes":[]},{"name":"expectToken","attributes":[]},{"name":"longValue","attributes":[]},{"name":"next","attributes":[]},{"name":"peek","attributes":[]},{"name":"tryLiteral","attributes":[]},{"name":"tryNumber","attributes":[]},{"name":"tryString","attributes":[]},{"name":"line","attributes":[]},{"name":"this","attributes":[]},{"name":"rawString","attributes":[]},{"name":"stringValue","attributes":[]},{"name":"unexpected","attributes":[]}]},
+{"name":"avro.codec.jsonlexer.JsonLexException","kind":"classdeclaration","path":"./avro/codec/jsonlexer/JsonLexException.html","bases":["object.Exception"],"methods":[{"name":"this","attributes":[]}]},
+{"name":"avro.generic.genericdata.GenericArray","kind":"classdeclaration","path":"./avro/generic/genericdata/GenericArray.html","bases":["avro.generic.genericdata.GenericContainer"],"methods":[{"name":"getValue","attributes":[]},{"name":"this","attributes":[]},{"name":"opIndex","attributes":[]},{"name":"opIndexAssign","attributes":[]},{"name":"length","attributes":[]}]},
+{"name":"avro.generic.genericdata.GenericContainer","kind":"classdeclaration","path":"./avro/generic/genericdata/GenericContainer.html","bases":[],"methods":[{"name":"this","attributes":[]},{"name":"getSchema","attributes":[]}]},
+{"name":"avro.generic.genericdata.GenericDatum","kind":"classdeclaration","path":"./avro/generic/genericdata/GenericDatum.html","bases":[],"methods":[{"name":"getUnionIndex","attributes":[]},{"name":"getValue","attributes":[]},{"name":"isUnion","attributes":[]},{"name":"length","attributes":[]},{"name":"opAssign","attributes":[]},{"name":"opCast","attributes":[]},{"name":"opIndex","attributes":[]},{"name":"opIndexAssign","attributes":[]},{"name":"setUnionIndex","attributes":[]},{"name":"setValue","attributes":[]},{"name":"this","attributes":[]},{"name":"getType","attributes":[]},{"name":"opOpAssign","attributes":[]},{"name":"getUnionSchema","attributes":[]},{"name":"toString","attributes":["override"]}]},
+{"name":"avro.generic.genericdata.GenericEnum","kind":"classdeclaration","path":"./avro/generic/genericdata/GenericEnum.html","bases":["avro.generic.genericdata.GenericContainer"],"methods":[{"name":"getEnumOrdinal","attributes":[]},{"name":"getSymbol","attributes":[]},{"name":"getValue","attributes":[]},{"name":"setEnumOrdinal","attributes":[]},{"name":"setSymbol","attributes":[]},{"name":"this","attributes":[]}]},
+{"name":"avro.generic.genericdata.GenericFixed","kind":"classdeclaration","path":"./avro/generic/genericdata/GenericFixed.html","bases":["avro.generic.genericdata.GenericContainer"],"methods":[{"name":"this","attributes":[]},{"name":"getValue","attributes":[]},{"name":"setValue","attributes":[]}]},
+{"name":"avro.generic.genericdata.GenericMap","kind":"classdeclaration","path":"./avro/generic/genericdata/GenericMap.html","bases":["avro.generic.genericdata.GenericContainer"],"methods":[{"name":"getValue","attributes":[]},{"name":"this","attributes":[]},{"name":"opIndex","attributes":[]},{"name":"opIndexAssign","attributes":[]},{"name":"length","attributes":[]}]},
+{"name":"avro.generic.genericdata.GenericRecord","kind":"classdeclaration","path":"./avro/generic/genericdata/GenericRecord.html","bases":["avro.generic.genericdata.GenericContainer"],"methods":[{"name":"fieldAt","attributes":[]},{"name":"fieldCount","attributes":[]},{"name":"fieldIndex","attributes":[]},{"name":"getField","attributes":[]},{"name":"opIndex","attributes":[]},{"name":"setFieldAt","attributes":[]},{"name":"this","attributes":[]}]},
+{"name":"avro.generic.genericdata.GenericUnion","kind":"classdeclaration","path":"./avro/generic/genericdata/GenericUnion.html","bases":["avro.generic.genericdata.GenericContainer"],"methods":[{"name":"getDatum","attributes":[]},{"name":"getUnionIndex","attributes":[]},{"name":"setUnionIndex","attributes":[]},{"name":"this","attributes":[]}]},
+{"name":"avro.generic.genericreader.GenericReader","kind":"classdeclaration","path":"./avro/generic/genericreader/GenericReader.html","bases":[],"methods":[{"name":"read","attributes":[]},{"name":"this","attributes":[]}]},
+{"name":"avro.generic.genericwriter.GenericWriter","kind":"classdeclaration","path":"./avro/generic/genericwriter/GenericWriter.html","bases":[],"methods":[{"name":"this","attributes":[]},{"name":"write","attributes":[]}]},
+{"name":"avro.exception.AvroRuntimeException","kind":"classdeclaration","path":"./avro/exception/AvroRuntimeException.html","bases":["object.Exception"],"methods":[{"name":"this","attributes":[]}]},
+{"name":"avro.exception.AvroTypeException","kind":"classdeclaration","path":"./avro/exception/AvroTypeException.html","bases":["avro.exception.AvroRuntimeException"],"methods":[{"name":"this","attributes":[]}]},
+{"name":"avro.exception.InvalidNumberEncodingException","kind":"classdeclaration","path":"./avro/exception/InvalidNumberEncodingException.html","bases":["avro.exception.AvroRuntimeException"],"methods":[{"name":"this","attributes":[]}]},
+{"name":"avro.exception.SchemaParseException","kind":"classdeclaration","path":"./avro/exception/SchemaParseException.html","bases":["avro.exception.AvroRuntimeException"],"methods":[{"name":"this","attributes":[]}]},
+{"name":"avro.field.Field","kind":"classdeclaration","path":"./avro/field/Field.html","bases":[],"methods":[{"name":"this","attributes":[]},{"name":"getName","attributes":[]},{"name":"getPosition","attributes":[]},{"name":"getSchema","attributes":[]},{"name":"getDoc","attributes":[]},{"name":"hasDefaultValue","attributes":[]},{"name":"getDefaultValue","attributes":[]},{"name":"getOrder","attributes":[]},{"name":"addAlias","attributes":[]},{"name":"getAliases","attributes":[]},{"name":"writeAttributes","attributes":[]}]},
+{"name":"avro.name.Name","kind":"classdeclaration","path":"./avro/name/Name.html","bases":[],"methods":[{"name":"getFullname","attributes":[]},{"name":"getName","attributes":[]},{"name":"getNamespace","attributes":[]},{"name":"this","attributes":[]},{"name":"validateName","attributes":[]},{"name":"opEquals","attributes":["override"]},{"name":"toHash","attributes":["override"]},{"name":"toString","attributes":["override"]}]},
+{"name":"avro.parser.Parser","kind":"classdeclaration","path":"./avro/parser/Parser.html","bases":[],"methods":[{"name":"addSchemas","attributes":[]},{"name":"parseAliases","attributes":[]},{"name":"parseFile","attributes":[]},{"name":"parseJson","attributes":[]},{"name":"parseText","attributes":[]}]},
+{"name":"avro.schema.Schema","kind":"classdeclaration","path":"./avro/schema/Schema.html","bases":[],"methods":[{"name":"addAlias","attributes":[]},{"name":"createPrimitive","attributes":[]},{"name":"getAliases","attributes":[]},{"name":"getDoc","attributes":[]},{"name":"getElementSchema","attributes":[]},{"name":"getEnumDefault","attributes":[]},{"name":"getEnumOrdinal","attributes":[]},{"name":"getEnumSymbols","attributes":[]},{"name":"getField","attributes":[]},{"name":"getFields","attributes":[]},{"name":"getFixedSize","attributes":[]},{"name":"getFullname","attributes":[]},{"name":"getIndexNamed","attributes":[]},{"name":"getLogicalType","attributes":[]},{"name":"getName","attributes":[]},{"name":"getNamespace","attributes":[]},{"name":"getType","attributes":[]},{"name":"getTypes","attributes":[]},{"name":"getValueSchema","attributes":[]},{"name":"hasEnumSymbol","attributes":[]},{"name":"isError","attributes":[]},{"name":"setFields","attributes":[]},{"name":"toString","attributes":["override"]},{"name":"this","attributes":[]},{"name":"validateDefault","attributes":[]},{"name":"toJson","attributes":[]},{"name":"writeAttributes","attributes":[]}]},
+{"name":"avro.schematable.SchemaTable","kind":"classdeclaration","path":"./avro/schematable/SchemaTable.html","bases":[],"methods":[{"name":"addSchema","attributes":[]},{"name":"containsName","attributes":[]},{"name":"getSchemaByName","attributes":[]},{"name":"defaultNamespace","attributes":[]}]},
+];
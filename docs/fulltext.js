@@ -0,0 +1,233 @@
+// full-text index generated by tools/build-fulltext.js - do not edit
+var fulltext = [
+{"name":"avro.codec.binarydecoder","summary":"Logic to deserialize Avro data encoded in binary format.","params":[],"text":""},
+{"name":"avro.codec.binarydecoder.BinaryDecoder","summary":"A [Decoder] for binary-format data.","params":[],"text":"This class may read-ahead and buffer bytes from the source beyond what is required to serve its read methods. The number of unused bytes in the buffer can be accessed by inputStream().remaining(), if the BinaryDecoder is not 'direct'. [Encoder]"},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.doReadItemCount","summary":"Returns the number of items to follow in the current array or map. Returns 0 if there are no more items in the current array and the array/map has ended. Arrays are encoded as a series of blocks. Each block consists of a long count value, followed by that many array items. A block with count zero indicates the end of the array. If a block's count is negative, its absolute value is used, and the count is followed immediately by a long block size indicating the number of bytes in the block.","params":[],"text":"IOException If the first byte cannot be read for any reason other than the end of the file, if the input stream has been closed, or if some other I/O error occurs."},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.doReadLong","summary":"Reads bytes from the input stream to decode a variable-length zigzag integer.","params":[],"text":""},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.doSkipItems","summary":"Reads the count of items in the current array or map and skip those items, if possible. If it could skip the items, keep repeating until there are no more items left in the array or map. Arrays are encoded as a series of blocks. Each block consists of a long count value, followed by that many array items. A block with count zero indicates the end of the array. If a block's count is negative, its absolute value is used, and the count is followed immediately by a long block size indicating the number of bytes in the block. If block size is missing, this method return the count of the items found. The client needs to skip the items individually.","params":[],"text":"Zero if there are no more items to skip and end of array/map is reached. Positive number if some items are found that cannot be skipped and the client needs to skip them individually. IOException If the first byte cannot be read for any reason other than the end of the file, if the input stream has been closed, or if some other I/O error occurs."},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.readArrayNext","summary":"readArrayStart","params":[],"text":""},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.readEnum","summary":"[readInt]","params":["enumSchema"],"text":""},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.readMapNext","summary":"readArrayStart","params":[],"text":""},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.readMapStart","summary":"readArrayStart","params":[],"text":""},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.readUnionIndex","summary":"[readInt]","params":["unionSchema"],"text":""},
+{"name":"avro.codec.binarydecoder.BinaryDecoder.skipMap","summary":"[skipArray]","params":[],"text":""},
+{"name":"avro.codec.binarydecoder.binaryDecoder","summary":"Convenience function to create a [BinaryDecoder] and infer the range type.","params":["iRange"],"text":""},
+{"name":"avro.codec.binaryencoder","summary":"Logic to encode Avro data types into binary format.","params":[],"text":""},
+{"name":"avro.codec.binaryencoder.BinaryEncoder","summary":"An [Encoder] for Avro's binary encoding that does not buffer output.","params":[],"text":"This encoder does not buffer writes on its own, and thus is best used with [BufferedOutputRange]."},
+{"name":"avro.codec.binaryencoder.BinaryEncoder.this","summary":"Create a writer that sends its output to the underlying stream oRange .","params":["oRange"],"text":""},
+{"name":"avro.codec.binaryencoder.binaryEncoder","summary":"A helper function for constructing a [BinaryEncoder] with inferred template arguments.","params":["oRange"],"text":"writeBoolean"},
+{"name":"avro.codec.bufferedoutputrange","summary":"A wrapper around an Output Stream allowing values to buffer in memory before being flushed.","params":[],"text":""},
+{"name":"avro.codec.bufferedoutputrange.BufferedOutputRange","summary":"A buffering output range that writes to another output range in batches.","params":["ORangeT","ElemT"],"text":"Sometimes there are efficiency costs associated with writing a single element at a time. Some OutputRange s take care of this themselves, and others do not. This is a utility that generalizes this buffering logic when it is needed. For example, suppose a FileOutputRange has element type ubyte [] (it writes many bytes at a time). A BufferedOutputRange wraps another OutputRange , like the FileOutputRange, and permits put calls of ubyte or ubyte [] and stores them in a memory buffer. When this buffer is full, a single put ( ubyte []) call will be made with the buffer's contents to the provided FileOutputRange. The standard OutputRange interface is expanded with flush () , which causes the current memory buffer's contents to be written immediately to the wrapped OutputRange . ORangeT: The type of the wrapped OutputRange , capable of writing batches of elements. ElemT: The type of items in the batch that can be written to ORangeT."},
+{"name":"avro.codec.bufferedoutputrange.BufferedOutputRange.flush","summary":"Writes any buffered elements into the underlying output range.","params":[],"text":""},
+{"name":"avro.codec.bufferedoutputrange.BufferedOutputRange.put","summary":"Adds many elements, which may trigger flushes to the output range.","params":["elems","elem"],"text":"Writes to the output range may not always be equal to the buffer size if: - More elements are being written than the buffer size. The current buffer will be flushed and the remaining elements written to the output range. - The buffer will not fit the elements. The buffer will be flushed before new elements are buffered. Adds a single element which may be buffered or trigger a flush to the output range."},
+{"name":"avro.codec.bufferedoutputrange.BufferedOutputRange.this","summary":"Constructs a BufferedOutputRange which writes to oRange in batches up to bufSize .","params":["oRange","bufSize"],"text":""},
+{"name":"avro.codec.bufferedoutputrange.bufferedOutputRange","summary":"A helper function to create a [BufferedOutputRange] with template types inferred from arguments.","params":["oRange","bufSize","ElemT"],"text":"Automatic detection does not work for std . array . appender . Appender . oRange: The OutputRange capable of writing batches of elements, e.g. . put ( T []) . bufSize: The number of elements to buffer in memory before automatically flushing. ElemT: The type of items that can be inserted as batches into ORangeT. This is automatically detected if ORangeT has put methods."},
+{"name":"avro.codec.bufferedoutputrange.ElementType","summary":"A specialization of std.range.ElementType which also considers output ranges.","params":[],"text":""},
+{"name":"avro.codec.bufferedoutputrange.isBlockOutputRange","summary":"A narrowing of the definition of an output range to only those that could put ( ElemT []) .","params":[],"text":""},
+{"name":"avro.codec.decoder","summary":"Support logic for deserializing Avro values.","params":[],"text":""},
+{"name":"avro.codec.decoder.Decoder","summary":"Low-level support for de-serializing Avro values.","params":[],"text":"This class has two types of methods. One type of methods support the reading of leaf values (for example, [Decoder.readLong] and [Decoder.readString]). The other type of methods support the reading of maps and arrays. These methods are [Decoder.readArrayStart], [Decoder.arrayNext], and similar methods for maps. See [Decoder.readArrayStart] for details on these methods."},
+{"name":"avro.codec.decoder.Decoder.readArrayNext","summary":"Processes the next block of an array and returns the number of items in the block and let's the caller read those items.","params":[],"text":"AvroTypeException When called outside of an array context"},
+{"name":"avro.codec.decoder.Decoder.readArrayStart","summary":"Reads and returns the size of the first block of an array. If this method returns non-zero, then the caller should read the indicated number of items, and then call [arrayNext] to find out the number of items in the next block. The typical pattern for consuming an array looks like:","params":[],"text":"AvroTypeException If this is a stateful reader and array is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.readBoolean","summary":"Reads a boolean value written by [Encoder.writeBoolean].","params":[],"text":"[AvroTypeException] If this is a stateful reader and boolean is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.readBytes","summary":"Reads a byte-string written by [Encoder.writeBytes]. if old is not null and has sufficient capacity to take in the bytes being read, the bytes are returned in old .","params":[],"text":"AvroTypeException If this is a stateful reader and byte-string is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.readDouble","summary":"Reads a double written by [Encoder.writeDouble].","params":[],"text":"AvroTypeException If this is a stateful reader and is not the type of the next value to be read."},
+{"name":"avro.codec.decoder.Decoder.readEnum","summary":"Reads an enumeration.","params":["enumSchema"],"text":"The enumeration's value. - AvroTypeException If this is a stateful reader and enumeration is not the type of the next value to be read. - IOException"},
+{"name":"avro.codec.decoder.Decoder.readFixed","summary":"Reads fixed sized binary object.","params":["length"],"text":"- AvroTypeException If this is a stateful reader and fixed sized binary object is not the type of the next value to be read or the length is incorrect. - IOException The fixed size binary object. length: The size of the binary object."},
+{"name":"avro.codec.decoder.Decoder.readFloat","summary":"Reads a float written by [Encoder.writeFloat].","params":[],"text":"AvroTypeException If this is a stateful reader and is not the type of the next value to be read."},
+{"name":"avro.codec.decoder.Decoder.readInt","summary":"Reads an integer written by [Encoder.writeInt].","params":[],"text":"- AvroTypeException If encoded value is larger than 32-bits. - AvroTypeException If this is a stateful reader and int is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.readLong","summary":"Reads a long written by [Encoder.writeLong].","params":[],"text":"AvroTypeException If this is a stateful reader and long is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.readMapNext","summary":"Processes the next block of map entries and returns the count of them. Similar to [arrayNext]. See [readMapStart] for details.","params":[],"text":"AvroTypeException When called outside of a map context"},
+{"name":"avro.codec.decoder.Decoder.readMapStart","summary":"Reads and returns the size of the next block of map-entries. Similar to [readArrayStart].","params":[],"text":"As an example, let's say you want to read a map of records, the record consisting of an Long field and a Boolean field. Your code would look something like this: AvroTypeException If this is a stateful reader and map is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.readNull","summary":"\"Reads\" a null value. (Doesn't actually read anything, but advances the state of the parser if the implementation is stateful.)","params":[],"text":"[AvroTypeException] If this is a stateful reader and null is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.readString","summary":"Reads a char-string written by [Encoder.writeString].","params":[],"text":"AvroTypeException If this is a stateful reader and char-string is not the type of the next value to be read."},
+{"name":"avro.codec.decoder.Decoder.readUnionEnd","summary":"Document me.","params":[],"text":""},
+{"name":"avro.codec.decoder.Decoder.readUnionIndex","summary":"Reads the tag of a union written by [Encoder.writeIndex].","params":["unionSchema"],"text":"AvroTypeException If this is a stateful reader and union is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.skipArray","summary":"Used for quickly skipping through an array. Note you can either skip the entire array, or read the entire array (with [readArrayStart]), but you can't mix the two on the same array.","params":[],"text":"This method will skip through as many items as it can, all of them if possible. It will return zero if there are no more items to skip through, or an item count if it needs the client's help in skipping. The typical usage pattern is: Note that this method can automatically skip through items if a byte-count is found in the underlying data, or if a schema has been provided to the implementation, but otherwise the client will have to skip through items itself. AvroTypeException If this is a stateful reader and array is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.skipBytes","summary":"Discards a byte-string written by [Encoder.writeBytes].","params":[],"text":"AvroTypeException If this is a stateful reader and byte-string is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.skipFixed","summary":"Discards fixed sized binary object.","params":["length"],"text":"- AvroTypeException If this is a stateful reader and fixed sized binary object is not the type of the next value to be read or the length is incorrect. - IOException length: The size of the binary object to be skipped."},
+{"name":"avro.codec.decoder.Decoder.skipMap","summary":"Support for quickly skipping through a map similar to [skipArray].","params":[],"text":"As an example, let's say you want to skip a map of records, the record consisting of an Long field and a Boolean field. Your code would look something like this: AvroTypeException If this is a stateful reader and array is not the type of the next value to be read"},
+{"name":"avro.codec.decoder.Decoder.skipString","summary":"Discards a char-string written by [Encoder.writeString].","params":[],"text":"AvroTypeException If this is a stateful reader and char-string is not the type of the next value to be read"},
+{"name":"avro.codec.encoder","summary":"Support logic for serializaing Avro values.","params":[],"text":""},
+{"name":"avro.codec.encoder.Encoder","summary":"Low-level support for serializing Avro values.","params":[],"text":"This class has two types of methods. One type of methods support the writing of leaf values (for example, [Encoder.writeLong] and [Encoder.writeString]). These methods have analogs in [Decoder]. The other type of methods support the writing of maps and arrays. These methods are [Encoder.writeArrayStart], [Encoder.startItem], and [Encoder.writeArrayEnd] (and similar methods for maps). Some implementations of [Encoder] handle the buffering required to break large maps and arrays into blocks, which is necessary for applications that want to do streaming. (See [Encoder.writeArrayStart] for details on these methods.)"},
+{"name":"avro.codec.encoder.Encoder.flush","summary":"Empty any internal buffers to the underlying output.","params":[],"text":""},
+{"name":"avro.codec.encoder.Encoder.setItemCount","summary":"Call this method before writing a batch of items in an array or a map. Then for each item, call [startItem()] followed by any of the other write methods of [Encoder]. The number of calls to [startItem()] must be equal to the count specified in [setItemCount()]. Once a batch is completed you can start another batch with [setItemCount()].","params":["itemCount"],"text":"itemCount: The number of [startItem()] calls to follow."},
+{"name":"avro.codec.encoder.Encoder.startItem","summary":"Start a new item of an array or map. See {@link #writeArrayStart} for usage information.","params":[],"text":"AvroTypeException If called outside of an array or map context"},
+{"name":"avro.codec.encoder.Encoder.writeArrayEnd","summary":"Call this method to finish writing an array. See {@link #writeArrayStart} for usage information.","params":[],"text":"- AvroTypeException If items written does not match count provided to [writeArrayStart]. - AvroTypeException If not currently inside an array"},
+{"name":"avro.codec.encoder.Encoder.writeArrayStart","summary":"Call this method to start writing an array.","params":[],"text":"When starting to serialize an array, call [writeArrayStart]. Then, before writing any data for any item call [setItemCount] followed by a sequence of [startItem()] and the item itself. The number of [startItem()] should match the number specified in [setItemCount]. When actually writing the data of the item, you can call any [Encoder] method (e.g., [writeLong]). When all items of the array have been written, call [writeArrayEnd]. As an example, let's say you want to write an array of records, the record consisting of an Long field and a Boolean field. Your code would look something like this: AvroTypeException If this is a stateful writer and an array is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeBoolean","summary":"Write a boolean value.","params":["b"],"text":"AvroTypeException If this is a stateful writer and a boolean is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeBytes","summary":"Write a byte string.","params":["bytes","start","len"],"text":"AvroTypeException If this is a stateful writer and a byte-string is not expected Writes a byte string. Equivalent to writeBytes ( bytes , 0 , bytes . length ) AvroTypeException If this is a stateful writer and a byte-string is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeDouble","summary":"Write a double.","params":["d"],"text":"AvroTypeException If this is a stateful writer and a double is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeEnum","summary":"Writes an enumeration.","params":["e","sym"],"text":"AvroTypeException If this is a stateful writer and an enumeration is not expected or the e is out of range. e: The ordinal value of an enum to write. sym: The textual symbol of the enum."},
+{"name":"avro.codec.encoder.Encoder.writeFixed","summary":"Writes a fixed size binary object.","params":["bytes","start","len"],"text":"AvroTypeException If this is a stateful writer and a byte-string is not expected A shorthand for writeFixed ( bytes , 0 , bytes . length ) ."},
+{"name":"avro.codec.encoder.Encoder.writeFloat","summary":"Write a float.","params":["f"],"text":"AvroTypeException If this is a stateful writer and a float is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeInt","summary":"Writes a 32-bit integer.","params":["n"],"text":"AvroTypeException If this is a stateful writer and an integer is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeLong","summary":"Write a 64-bit integer.","params":["n"],"text":"AvroTypeException If this is a stateful writer and a long is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeMapEnd","summary":"Call this method to terminate the inner-most, currently-opened map. See [writeArrayStart] for more details.","params":[],"text":"- AvroTypeException If items written does not match count provided to [writeMapStart] - AvroTypeException If not currently inside a map"},
+{"name":"avro.codec.encoder.Encoder.writeMapStart","summary":"Call this to start a new map. See [writeArrayStart] for details on usage.","params":[],"text":"As an example of usage, let's say you want to write a map of records, the record consisting of an Long field and a Boolean field. Your code would look something like this: AvroTypeException If this is a stateful writer and a map is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeNull","summary":"\"Writes\" a null value. (Doesn't actually write anything, but advances the state of the parser if this class is stateful.)","params":[],"text":"AvroTypeException If this is a stateful writer and a null is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeRecordEnd","summary":"Document me.","params":[],"text":""},
+{"name":"avro.codec.encoder.Encoder.writeRecordStart","summary":"Document me.","params":[],"text":""},
+{"name":"avro.codec.encoder.Encoder.writeString","summary":"Write a Unicode character string.","params":["str"],"text":"AvroTypeException If this is a stateful writer and a char-string is not expected"},
+{"name":"avro.codec.encoder.Encoder.writeUnionType","summary":"Call this method to write the tag of a union.","params":["unionTypeIndex","unionTypeName"],"text":"As an example of usage, let's say you want to write a union, whose second branch is a record of type \"thing\" consisting of an Long field and a Boolean field. Your code would look something like this: AvroTypeException If this is a stateful writer and a map is not expected"},
+{"name":"avro.codec.jsondecoder","summary":"A decoder for processing JSON Avro input.","params":[],"text":""},
+{"name":"avro.codec.jsondecoder.JsonDecoder","summary":"A JSON pull-parser that allows tokens to be processed as they are read.","params":[],"text":""},
+{"name":"avro.codec.jsondecoder.JsonDecoder.skipComposite","summary":"Assuming the start of an array/object has been read, keep reading until its end is found.","params":[],"text":""},
+{"name":"avro.codec.jsondecoder.jsonDecoder","summary":"A helper function for constructing a [JsonDecoder] with inferred template arguments.","params":["iRange"],"text":""},
+{"name":"avro.codec.jsonencoder","summary":"Encodes an Avro object as JSON.","params":[],"text":""},
+{"name":"avro.codec.jsonencoder.JsonEncoder","summary":"An [Encoder] for Avro's JSON encoding that does not buffer output.","params":[],"text":""},
+{"name":"avro.codec.jsonencoder.jsonEncoder","summary":"A helper function for constructing a [BinaryEncoder] with inferred template arguments.","params":["oRange"],"text":""},
+{"name":"avro.codec.jsonlexer","summary":"Logic for parsing JSON","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.jsonLexer","summary":"Convenience function to create a [JsonLexer] and infer the range type.","params":["iRange"],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer","summary":"A JSON lexer that allows tokens to be processed as they are read.","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.advance","summary":"Read the next token from the input data and return it.","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.boolValue","summary":"Returns the boolean value of the most recently read token.","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.cur","summary":"Returns the most recently read token.","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.doAdvance","summary":"Reads input characters, updates the lexer state, and returns the next [Token].","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.doubleValue","summary":"Returns the double value of the most recently read token.","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.expectToken","summary":"Test that a token type is present, and throw an error if not.","params":["tk"],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.longValue","summary":"Returns the long value of the most recently read token.","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.next","summary":"Reads the input range for the next character (skipping whitespace).","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.peek","summary":"View the next Token without consuming it.","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.tryLiteral","summary":"Attempts to process a literal string of expected output, such as \"null\" or \"false\".","params":["exp","n","tk"],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.tryNumber","summary":"Consumes characters in order to identify a number.","params":["ch"],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexer.tryString","summary":"","params":[],"text":""},
+{"name":"avro.codec.jsonlexer.JsonLexException","summary":"Exceptions related to incremental parsing in [JsonLexer].","params":[],"text":""},
+{"name":"avro.codec.zigzag","summary":"Methods for encoding and decoding integer values using zig-zag and variable-length coding.","params":[],"text":"Variable-length coding is far more effective with negative numbers when used on zig-zag encoded values. - [zig-zag coding](https://developers.google.com/protocol-buffers/docs/encoding?csw=1#types) - [variable-length coding](https://lucene.apache.org/core/3_5_0/fileformats.html#VInt)"},
+{"name":"avro.codec.zigzag.decodeZigzagInt","summary":"Perform zig-zag decoding for a 32-bit int.","params":["input"],"text":""},
+{"name":"avro.codec.zigzag.decodeZigzagLong","summary":"Perform zig-zag decoding for a 64-bit long.","params":["input"],"text":""},
+{"name":"avro.codec.zigzag.encodeInt","summary":"Encodes an int into a variable number of bytes in a given buffer.","params":["input","output"],"text":""},
+{"name":"avro.codec.zigzag.encodeLong","summary":"Encodes a long into a variable number of bytes in a given buffer.","params":["input","output"],"text":""},
+{"name":"avro.codec.zigzag.encodeZigzagInt","summary":"Perform zig-zag encoding for a 32-bit int.","params":["input"],"text":""},
+{"name":"avro.codec.zigzag.encodeZigzagLong","summary":"Perform zig-zag encoding for a 64-bit long.","params":["input"],"text":""},
+{"name":"avro.generic.genericdata","summary":"Classes used to access generic Avro data using a schema without pre-compiled classes.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericArray","summary":"A generic container for Avro arrays.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericArray.getValue","summary":"Returns the contents of the array.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericArray.this","summary":"Constructs a generic array according to the given array-type schema.","params":["schema"],"text":""},
+{"name":"avro.generic.genericdata.GenericContainer","summary":"The base class for all generic types that act as containers.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericDatum","summary":"GenericDatum which can hold any Avro type. The datum has a type and a value.","params":[],"text":"The type is one of the Avro data types. The D type for value corresponds to the Avro type. - An avro null corresponds to no D type. It is illegal to try to access values for null . - Avro boolean maps to D bool - Avro int maps to D int . - Avro long maps to D long . - Avro float maps to D float . - Avro double maps to D double . - Avro string maps to D string . - Avro bytes maps to D ubyte [] . - Avro fixed maps to D class GenericFixed . - Avro enum maps to D class GenericEnum . - Avro array maps to D class GenericArray . - Avro map maps to D class GenericMap . - There is no D type corresponding to Avro union . The object should have the D type corresponding to one of the constituent types of the union. Each GenericDatum holds a value which is set using the . setValue ( T )( T val ) method and retrieved via the `.getValue!T() method. Because a GenericDatum can store any type, the caller must provide the desired type while calling . getValue ! T () , and this type must match the type of the schema."},
+{"name":"avro.generic.genericdata.GenericDatum.getUnionIndex","summary":"Returns the index of the current branch, if this is a union.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericDatum.getValue","summary":"Returns the value held by this datum.","params":["T"],"text":"T: The type of the value, which much correspond to the Avro type returned by [getType()]."},
+{"name":"avro.generic.genericdata.GenericDatum.isUnion","summary":"Returns true if an only if this datum is a union.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericDatum.length","summary":"A shortcut for .getValue!(GenericType).getValue().length where GenericType is one of GenericArray or GenericMap.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericDatum.opAssign","summary":"Sets the value of the GenericDatum to a value corresponding with its type.","params":["val"],"text":"VariantException when the value type does not match the datum type."},
+{"name":"avro.generic.genericdata.GenericDatum.opCast","summary":"Implementing opCast allows values to be retrieved using std . conv . to .","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericDatum.opIndex","summary":"For records/maps, looks up a record with name .","params":["name","idx"],"text":""},
+{"name":"avro.generic.genericdata.GenericDatum.opIndexAssign","summary":"For records/maps, assign a value to a given key.","params":["val","name","idx"],"text":"For arrays, assign a value to a given index."},
+{"name":"avro.generic.genericdata.GenericDatum.setUnionIndex","summary":"Selects a new branch in the union if this is a union.","params":["branch"],"text":""},
+{"name":"avro.generic.genericdata.GenericDatum.setValue","summary":"Sets the value of the GenericDatum to a value corresponding with its type.","params":["val"],"text":"VariantException when the value type does not match the datum type."},
+{"name":"avro.generic.genericdata.GenericDatum.this","summary":"Makes a new NULL GenericDatum.","params":["val"],"text":"A constructor allowing GenericDatum to be created for primitive schemas from D equivalents."},
+{"name":"avro.generic.genericdata.GenericEnum","summary":"A generic container for Avro enums.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericEnum.getEnumOrdinal","summary":"Returns the ordinal for the given symbol.","params":["symbol"],"text":"AvroRuntimeException if the symbol does not match any enum value."},
+{"name":"avro.generic.genericdata.GenericEnum.getSymbol","summary":"Returns the symbol corresponding to ordinal n.","params":["n"],"text":"AvroRuntimeException if the enum has no such ordinal. Returns the symbol for the current value of this enum."},
+{"name":"avro.generic.genericdata.GenericEnum.getValue","summary":"Returns the ordinal for the current value of the enum.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericEnum.setEnumOrdinal","summary":"Set the value for the enum according to the given ordinal.","params":["n"],"text":""},
+{"name":"avro.generic.genericdata.GenericEnum.setSymbol","summary":"Set the value for this enum according to the given symbol.","params":["symbol"],"text":""},
+{"name":"avro.generic.genericdata.GenericEnum.this","summary":"Constructs a generic enum according to the given enum-type schema.","params":["schema"],"text":""},
+{"name":"avro.generic.genericdata.GenericFixed","summary":"A generic container for Avro fixed.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericFixed.this","summary":"Constructs a generic fixed value according to the given fixed-type Avro schema.","params":["schema"],"text":""},
+{"name":"avro.generic.genericdata.GenericMap","summary":"A generic container for Avro maps.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericMap.getValue","summary":"Returns the data contents of the map.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericMap.this","summary":"Constructs a generic map according to the given map-type schema.","params":["schema"],"text":""},
+{"name":"avro.generic.genericdata.GenericRecord","summary":"The generic container for Avro records.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericRecord.fieldAt","summary":"Returns the field data at the given position.","params":["pos"],"text":""},
+{"name":"avro.generic.genericdata.GenericRecord.fieldCount","summary":"Returns the number of fields in the current record.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericRecord.fieldIndex","summary":"Returns index of the field with the given name.","params":["name"],"text":""},
+{"name":"avro.generic.genericdata.GenericRecord.getField","summary":"Returns the field data with the given name.","params":["name"],"text":""},
+{"name":"avro.generic.genericdata.GenericRecord.opIndex","summary":"Returns the field data with the given name.","params":["name"],"text":""},
+{"name":"avro.generic.genericdata.GenericRecord.setFieldAt","summary":"Replace the field data at the given position.","params":["pos","v"],"text":""},
+{"name":"avro.generic.genericdata.GenericRecord.this","summary":"Constructs a generic record corresponding to the given \"record\" type schema.","params":["schema"],"text":""},
+{"name":"avro.generic.genericdata.GenericUnion","summary":"A generic container for unions.","params":[],"text":"A union consists of several types, e.g. \\[\"null\", \"int\", \"string\" \\], however, only a single union type is represented in data at any given moment. That is, an instance of the above union may contain the datum 3 or \"apple\" but not both."},
+{"name":"avro.generic.genericdata.GenericUnion.getDatum","summary":"Returns the datum corresponding to the currently selected union type.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericUnion.getUnionIndex","summary":"Returns the index of the current branch.","params":[],"text":""},
+{"name":"avro.generic.genericdata.GenericUnion.setUnionIndex","summary":"Selects a new branch. The type for the value is changed accordingly.","params":["index"],"text":"index: The index for the selected branch."},
+{"name":"avro.generic.genericdata.GenericUnion.this","summary":"Constructs a generic union corresponding to the given schema and the given value. The schema should be of Avro type union and the value should correspond to one of the union types.","params":["schema"],"text":""},
+{"name":"avro.generic.genericreader","summary":"Tools for reading [GenericDatum] using an decoder.","params":[],"text":""},
+{"name":"avro.generic.genericreader.GenericReader","summary":"A utility class to read GenericDatum from decoders.","params":[],"text":""},
+{"name":"avro.generic.genericreader.GenericReader.read","summary":"Uses a given decoder to read [GenericDatum] from its serialized format.","params":["d","isResolving","datum"],"text":"Reads a value off the decoder."},
+{"name":"avro.generic.genericreader.GenericReader.this","summary":"Constructs a reader for the given schema using the given decoder.","params":["s","decoder"],"text":""},
+{"name":"avro.generic.genericwriter","summary":"Tools for writing [GenericDatum] using an encoder.","params":[],"text":""},
+{"name":"avro.generic.genericwriter.GenericWriter","summary":"[DatumWriter] for GenericDatum objects.","params":[],"text":""},
+{"name":"avro.generic.genericwriter.GenericWriter.this","summary":"Constructs a writer for a given schema using the given encoder.","params":["schema","encoder"],"text":""},
+{"name":"avro.generic.genericwriter.GenericWriter.write","summary":"Uses a given encoder to convert a [GenericDatum] into its serialized format.","params":["datum","e"],"text":"Writes a value into the encoder."},
+{"name":"avro.attributes","summary":"Common logic needed for objects with attributes, like Schemas and Fields.","params":[],"text":""},
+{"name":"avro.attributes.HasJsonAttributes","summary":"This template can be used to add functionality to a class by inserting class members and functions so that the object can represent an arbitrary list of JSON attributes.","params":[],"text":"To use this mixing, simply call it by name in your class:"},
+{"name":"avro.attributes.HasJsonAttributes.addAttribute","summary":"Adds a property with the given name [name] and value [value]. Neither [name] nor [value] can be [null]. It is illegal to add a property if another with the same name but different value already exists in this schema.","params":["name","value"],"text":"name: The name of the property to add value: The value for the property to add"},
+{"name":"avro.attributes.HasJsonAttributes.getAttributes","summary":"Retrieve a map from JSON attribute names to their JSONValues.","params":[],"text":""},
+{"name":"avro.exception","summary":"Avro related exception classes.","params":[],"text":""},
+{"name":"avro.exception.AvroRuntimeException","summary":"Base Avro exception.","params":[],"text":""},
+{"name":"avro.exception.AvroTypeException","summary":"Thrown when an illegal type is used.","params":[],"text":""},
+{"name":"avro.exception.InvalidNumberEncodingException","summary":"Thrown when an a decoder detects data that is in an invalid format.","params":[],"text":""},
+{"name":"avro.exception.SchemaParseException","summary":"Throw for errors parsing schemas and protocols.","params":[],"text":""},
+{"name":"avro.field","summary":"Avro fields that are part of an Avro record.","params":[],"text":""},
+{"name":"avro.field.Field","summary":"A field within a record.","params":[],"text":"https://avro.apache.org/docs/current/spec.html#schema_record"},
+{"name":"avro.field.Field.Order","summary":"Objects with identical schemas may be sorted by a depth-first left-to-right traversal of the schema.","params":[],"text":"https://avro.apache.org/docs/current/spec.html#order"},
+{"name":"avro.field.Field.Order.ASCENDING","summary":"The default sort order for fields.","params":[],"text":""},
+{"name":"avro.field.Field.Order.DESCENDING","summary":"The order of fields is reversed.","params":[],"text":""},
+{"name":"avro.field.Field.Order.IGNORE","summary":"Ignore this value for the purpose of sorting.","params":[],"text":""},
+{"name":"avro.field.Field.this","summary":"Constructs a new Field instance with the same [name], [doc], [defaultValue], and [order] as [field] has with changing the schema to the specified one. It also copies all the [attributes] and [aliases].","params":["field","schema"],"text":""},
+{"name":"avro.name","summary":"Avro schemas are often identified by names, which are separated via namespaces.","params":[],"text":""},
+{"name":"avro.name.Name","summary":"A fully qualified schema name, which includes a namespace and an individual name.","params":[],"text":"https://avro.apache.org/docs/current/spec.html#names"},
+{"name":"avro.name.Name.this","summary":"Creates a new Name using the provided namespace if the name does not have one.","params":["name","namespace"],"text":""},
+{"name":"avro.name.Name.validateName","summary":"The name portion of a fullname, record field names, and enum symbols must: - start with \\[A-Za-z_\\] - subsequently contain only \\[A-Za-z0-9_\\]","params":["name"],"text":"https://avro.apache.org/docs/current/spec.html#names"},
+{"name":"avro.orderedmap","summary":"A hash-based map which also keeps track of insertion order.","params":[],"text":""},
+{"name":"avro.orderedmap.OrderedMap","summary":"An associative array that permits access to ordered keys.","params":[],"text":"This is a thin wrapper around D's built-in [Associative Arrays](https://dlang.org/spec/hash-map.html) couple with an [Array](https://dlang.org/spec/arrays.html) that keeps track of key order. The interface is identical to an Associative Array with one exception: an [OrderedMap] may not be initialized from a literal, because the order of keys in a literal is not known. E.g. OrderedMap !( string , int ) = [ \"a\" : 2 , \"b\" : 1 ]; is not permitted. Initializing from an unordered map is not allowed. Values can be read and written just like an associative array. A new property orderedKeys is available to use."},
+{"name":"avro.orderedmap.OrderedMap.clear","summary":"Removes all map keys and clears the orderedKeys.","params":[],"text":""},
+{"name":"avro.orderedmap.OrderedMap.map","summary":"The underlying associative array used.","params":["map"],"text":""},
+{"name":"avro.orderedmap.OrderedMap.opAssign","summary":"Hide this method because the order of the initial map is unknown.","params":["map"],"text":""},
+{"name":"avro.orderedmap.OrderedMap.opIndexAssign","summary":"Assign a value to the map and add it to the orderedKeys if it is new.","params":["value","key"],"text":""},
+{"name":"avro.orderedmap.OrderedMap.orderedKeys","summary":"A maintained list of keys in the order they were added.","params":["orderedKeys"],"text":""},
+{"name":"avro.orderedmap.OrderedMap.remove","summary":"Removes a single item from the map and the orderedKeys.","params":["key"],"text":""},
+{"name":"avro.parser","summary":"Converts the text of an Avro schema into a validated data structure.","params":[],"text":""},
+{"name":"avro.parser.Parser","summary":"A parser for JSON-format schemas. Eached named schema parsed with a parser is added to the names known to the parser so that subsequently parsed schemas may refer to it by name.","params":[],"text":""},
+{"name":"avro.parser.Parser.addSchemas","summary":"Adds the provided types to the set of defined and named types known to this parser.","params":["types"],"text":""},
+{"name":"avro.parser.Parser.parseAliases","summary":"Extracts and validates the \"aliases\" field for a schema.","params":["node"],"text":""},
+{"name":"avro.parser.Parser.parseFile","summary":"Builds a [Schema] using a path to a \".avsc\" file.","params":["fileName"],"text":""},
+{"name":"avro.parser.Parser.parseJson","summary":"Builds a [Schema] from a JSON parse tree.","params":["jsonSchema"],"text":""},
+{"name":"avro.parser.Parser.parseText","summary":"Builds a [Schema] from JSON text.","params":["text"],"text":""},
+{"name":"avro.schema","summary":"Schemas describe the valid format of data, used for (en/de)coding, code generation, and more.","params":[],"text":""},
+{"name":"avro.schema.Schema","summary":"An Avro Schema is one of the following: - A JSON string, matching a defined type like \"int\", \"string\", or another Schema's name. - A JSON object, of the form { \"type\" : \"typeName\" , ... attributes ...} . - A JSON array of type names like [ \"null\" , \"string\" ] , representing a union where values adhering to the schema may be one of the listed types.","params":[],"text":"It should be noted that certain types can contain schemas via their attributes, making a Schema a tree-like structure with each Schema having potential nested schemas. https://avro.apache.org/docs/current/spec.html#schemas"},
+{"name":"avro.schema.Schema.addAlias","summary":"If this is a record, enum, or fixed, add an alias.","params":["name","namespace"],"text":""},
+{"name":"avro.schema.Schema.createPrimitive","summary":"Creates a schema given a primitive type.","params":["type"],"text":""},
+{"name":"avro.schema.Schema.getAliases","summary":"If this is a record, enum, or fixed, return its aliases, if any.","params":[],"text":""},
+{"name":"avro.schema.Schema.getDoc","summary":"If this is a record, enum, or fixed, returns its docstring, if available. Otherwise, returns null.","params":[],"text":""},
+{"name":"avro.schema.Schema.getElementSchema","summary":"If this is an array, returns its element type.","params":[],"text":""},
+{"name":"avro.schema.Schema.getEnumDefault","summary":"If this is an enum, return its default value.","params":[],"text":""},
+{"name":"avro.schema.Schema.getEnumOrdinal","summary":"If this is an enum, return a symbol's ordinal value.","params":["symbol"],"text":""},
+{"name":"avro.schema.Schema.getEnumSymbols","summary":"If this is an enum, return its symbols.","params":[],"text":""},
+{"name":"avro.schema.Schema.getField","summary":"If this is a record, returns the Field with the given name [fieldName]. If there is no field by that name, a [null] is returned.","params":["fieldName"],"text":""},
+{"name":"avro.schema.Schema.getFields","summary":"If this is a record, returns the fields in it. The returned list is in the order of their positions.","params":[],"text":""},
+{"name":"avro.schema.Schema.getFixedSize","summary":"If this is fixed, returns its size.","params":[],"text":""},
+{"name":"avro.schema.Schema.getFullname","summary":"If this is a record, enum or fixed, returns its namespace-qualified name, otherwise returns the name of the primitive type.","params":[],"text":""},
+{"name":"avro.schema.Schema.getIndexNamed","summary":"If this is a union, return the branch with the provided full name.","params":["name"],"text":""},
+{"name":"avro.schema.Schema.getLogicalType","summary":"Return the logical type, which can be combined with a type for special interpretation, like a timestamp or a date.","params":[],"text":""},
+{"name":"avro.schema.Schema.getName","summary":"If this is a record, enum, or fixed, return its name, otherwise return the name of the primitive type.","params":[],"text":""},
+{"name":"avro.schema.Schema.getNamespace","summary":"If this is a record, enum or fixed, returns its namespace, if any.","params":[],"text":""},
+{"name":"avro.schema.Schema.getType","summary":"Return the type of this schema.","params":[],"text":""},
+{"name":"avro.schema.Schema.getTypes","summary":"If this is a union, returns its types.","params":[],"text":""},
+{"name":"avro.schema.Schema.getValueSchema","summary":"If this is a map, returns its value type.","params":[],"text":""},
+{"name":"avro.schema.Schema.hasEnumSymbol","summary":"If this is an enum, returns true if it contains given symbol.","params":["symbol"],"text":""},
+{"name":"avro.schema.Schema.isError","summary":"Indicates whether the schema is a both a record an an error type in a protocol.","params":[],"text":""},
+{"name":"avro.schema.Schema.setFields","summary":"If this is a record, set its fields. The fields can be set only once in a schema.","params":["fields"],"text":""},
+{"name":"avro.schematable","summary":"A table of observed schemas organized by name, used during schema parsing.","params":[],"text":""},
+{"name":"avro.schematable.SchemaTable","summary":"A lookup table of known names for Schemas and the default namespace used during parsing.","params":["SchemaT"],"text":"Some names are known before the schema is read, such as primitive types, which have no namespace and whose name matches their type. During parsing, if a schema does not designate a namespace, it inherits the namespace from the most tightly enclosing schema or protocol. https://avro.apache.org/docs/current/spec.html#names SchemaT: Allows the caller to override the stored type, e.g. with a const."},
+{"name":"avro.schematable.SchemaTable.addSchema","summary":"Adds a new schema to the set of known schemas.","params":["schema"],"text":""},
+{"name":"avro.schematable.SchemaTable.containsName","summary":"Indicates whether a given name is known in the SchemaTable.","params":["name"],"text":""},
+{"name":"avro.schematable.SchemaTable.getSchemaByName","summary":"Look up a previously known Schema by its name.","params":["name"],"text":""},
+{"name":"avro.type","summary":"A list of Avro schema types.","params":[],"text":"- [Primitive Types](https://avro.apache.org/docs/current/spec.html#schema_primitive) - [Complex Types](https://avro.apache.org/docs/current/spec.html#schema_complex)"},
+{"name":"avro.type.PRIMITIVE_TYPE_BY_NAME","summary":"A mapping from a type's name, e.g. \"float\" or \"int\" to the primitive Schema Type.","params":[],"text":"Primitive type names may not be defined in any namespace."},
+{"name":"avro.type.Type","summary":"Each AvroSchema has a type, with complex types allowing a schema to contain other schemas of the same or different types.","params":[],"text":"no value A record contains several fields, each with a name and type."},
+{"name":"avro.type.Type.ARRAY","summary":"A list of values which all have the same type.","params":[],"text":""},
+{"name":"avro.type.Type.BOOLEAN","summary":"a binary value","params":[],"text":""},
+{"name":"avro.type.Type.BYTES","summary":"sequence of 8-bit unsigned bytes","params":[],"text":""},
+{"name":"avro.type.Type.DOUBLE","summary":"double precision (64-bit) IEEE 754 floating-point number","params":[],"text":""},
+{"name":"avro.type.Type.ENUM","summary":"An enumerated list of named values.","params":[],"text":""},
+{"name":"avro.type.Type.FIXED","summary":"A numerical value with a fixed size in bytes.","params":[],"text":""},
+{"name":"avro.type.Type.FLOAT","summary":"single precision (32-bit) IEEE 754 floating-point number","params":[],"text":""},
+{"name":"avro.type.Type.INT","summary":"32-bit signed integer","params":[],"text":""},
+{"name":"avro.type.Type.LONG","summary":"64-bit signed integer","params":[],"text":""},
+{"name":"avro.type.Type.MAP","summary":"An associative array from a string name to values with a given type.","params":[],"text":""},
+{"name":"avro.type.Type.NULL","summary":"[Primitive Types](https://avro.apache.org/docs/current/spec.html#schema_primitive) no value","params":[],"text":""},
+{"name":"avro.type.Type.RECORD","summary":"[Complex Types](https://avro.apache.org/docs/current/spec.html#schema_complex) A record contains several fields, each with a name and type.","params":[],"text":""},
+{"name":"avro.type.Type.STRING","summary":"unicode character sequence","params":[],"text":""},
+{"name":"avro.type.Type.UNION","summary":"A value with has one of several possible types.","params":[],"text":""},
+];
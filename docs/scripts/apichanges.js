@@ -0,0 +1,130 @@
+/**
+	Compares two documentation builds on the API changes page with the
+	functions of apidiff.js. Unless other files are picked, the new build is
+	this documentation.
+*/
+
+function setupApiChangesPage()
+{
+	$("#apiChangesForm").submit(function() { compareApiBuilds(); return false; });
+}
+
+/**
+	Reads the symbols.js and file_hashes.json picked in a file input and
+	passes an error message, or null, and the build to callback. Files named
+	*.json are taken as hashes, all others as symbols.
+*/
+function readApiBuildFiles(input, callback)
+{
+	var build = {symbols: null, hashes: null};
+	var error = null;
+	var pending = input.files.length;
+	if (pending == 0) {
+		callback(null, build);
+		return;
+	}
+	$.each(input.files, function(i, file) {
+		var reader = new FileReader();
+		reader.onload = function() {
+			try {
+				if (/\.json$/i.test(file.name)) build.hashes = parseFileHashes(reader.result);
+				else build.symbols = parseSymbolsScript(reader.result);
+			} catch (e) {
+				error = file.name + ": " + e.message;
+			}
+			if (--pending == 0) callback(error, build);
+		};
+		reader.onerror = function() {
+			error = file.name + ": the file could not be read";
+			if (--pending == 0) callback(error, build);
+		};
+		reader.readAsText(file);
+	});
+}
+
+// Passes the build of this documentation to callback. Its hashes are missing if they cannot be fetched, as from file:// URLs.
+function getCurrentApiBuild(callback)
+{
+	var build = {symbols: symbols, hashes: null};
+	if (!window.fetch) {
+		callback(null, build);
+		return;
+	}
+	fetch(symbolSearchRootDir + "file_hashes.json")
+		.then(function(response) { return response.ok ? response.text() : null; })
+		.then(function(text) { return text === null ? null : parseFileHashes(text); })
+		.catch(function() { return null; })
+		.then(function(hashes) {
+			build.hashes = hashes;
+			callback(null, build);
+		});
+}
+
+function compareApiBuilds()
+{
+	var status = $("#apiChangesStatus");
+	var showError = function(message) {
+		status.attr("class", "apiChangesError").text(message);
+		$("#apiChangesReport").empty();
+		$("#apiChangesMarkdown").text("");
+	};
+
+	var newInput = $("#apiChangesNew")[0];
+	var isCurrent = newInput.files.length == 0;
+	readApiBuildFiles($("#apiChangesOld")[0], function(error, oldBuild) {
+		if (!error && oldBuild.symbols === null) error = "Pick the symbols.js of the old build.";
+		if (error) return showError(error);
+
+		var readNew = isCurrent ? getCurrentApiBuild : function(callback) { readApiBuildFiles(newInput, callback); };
+		readNew(function(error, newBuild) {
+			if (!error && newBuild.symbols === null) error = "Pick the symbols.js of the new build.";
+			if (error) return showError(error);
+
+			var diff = diffApiBuilds(oldBuild, newBuild);
+			var message = isEmptyApiDiff(diff) ? "The builds do not differ." : "Compared the builds.";
+			if (diff.pages === null) message += " The pages were not compared, this needs the file_hashes.json of both builds.";
+			status.attr("class", "apiChangesOk").text(message);
+			renderApiDiff(diff, isCurrent ? symbolSearchRootDir : null);
+			$("#apiChangesMarkdown").text(formatApiDiff(diff, "the old build", isCurrent ? "this documentation" : "the new build"));
+		});
+	});
+}
+
+/**
+	Renders the sections of a diff. Symbols and pages of the new build are
+	linked if rootDir, the location of the new build, is given.
+*/
+function renderApiDiff(diff, rootDir)
+{
+	var report = $("#apiChangesReport").empty();
+	var section = function(title, items, render) {
+		if (items.length == 0) return;
+		report.append($(document.createElement("h2")).text(title + " (" + items.length + ")"));
+		var list = $('<ul class="apiChanges"/>');
+		items.forEach(function(item) { list.append($(document.createElement("li")).append(render(item))); });
+		report.append(list);
+	};
+	var link = function(text, path) {
+		var code = $("<code/>").text(text);
+		return rootDir === null ? code : $(document.createElement("a")).attr("href", rootDir + path.replace(/^\.\//, "")).append(code);
+	};
+	var kind = function(sym) {
+		return $('<span class="tableEntryAnnotation"/>').text(" " + formatSymbolKind(sym.kind));
+	};
+
+	section("Added symbols", diff.added, function(sym) { return [link(sym.name, sym.path), kind(sym)]; });
+	section("Removed symbols", diff.removed, function(sym) { return [$("<code/>").text(sym.name), kind(sym)]; });
+	section("Changed symbols", diff.changed, function(change) {
+		var ret = [link(change.name, change.path), kind(change)];
+		if (change.kind != change.oldKind)
+			ret.push(" ", $('<span class="attrRemoved"/>').text("was " + formatSymbolKind(change.oldKind)));
+		change.removed.forEach(function(attr) { ret.push(" ", $('<span class="attrRemoved"/>').text("-" + attr)); });
+		change.added.forEach(function(attr) { ret.push(" ", $('<span class="attrAdded"/>').text("+" + attr)); });
+		return ret;
+	});
+	if (diff.pages !== null) {
+		section("Added pages", diff.pages.added, function(page) { return link(page, page); });
+		section("Removed pages", diff.pages.removed, function(page) { return $("<code/>").text(page); });
+		section("Changed pages", diff.pages.changed, function(page) { return link(page, page); });
+	}
+}
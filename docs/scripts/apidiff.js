@@ -0,0 +1,171 @@
+/**
+	Compares the public API of two documentation builds, for the API changes
+	page (apichanges.html) and tools/apidiff.js.
+
+	A build consists of the symbols of its symbols.js and the page hashes of
+	its file_hashes.json. The hashes are optional; without them, only the
+	symbols are compared. Of the hashes, only those of the HTML pages are
+	compared, as the list also has symbols.js and sitemap.xml.
+*/
+
+/**
+	Parses the symbol index written by DDOX. The file is JavaScript, but
+	regular enough to be read without running it, which allows comparing
+	builds picked in the browser.
+*/
+function parseSymbolsScript(text)
+{
+	var unescape = function(str) { return str.replace(/\\(.)/g, "$1"); };
+	var symbols = [];
+	var re = /\{name: '((?:[^'\\]|\\.)*)', kind: "([^"]*)", path: '((?:[^'\\]|\\.)*)', attributes: \[([^\]]*)\]\}/g;
+	for (var m = re.exec(text); m; m = re.exec(text)) {
+		var attributes = [];
+		m[4].replace(/"([^"]*)"/g, function(a, attr) { attributes.push(attr); });
+		symbols.push({name: unescape(m[1]), kind: m[2], path: unescape(m[3]), attributes: attributes});
+	}
+	if (symbols.length == 0 && !/var symbols = \[\s*\];/.test(text))
+		throw new Error("Not a symbol index generated by DDOX");
+	return symbols;
+}
+
+// Parses file_hashes.json, which DDOX writes with a byte order mark.
+function parseFileHashes(text)
+{
+	var hashes = JSON.parse(text.replace(/^\uFEFF/, ""));
+	if (hashes === null || typeof(hashes) != "object" || hashes instanceof Array)
+		throw new Error("Not a file hash list generated by DDOX");
+	return hashes;
+}
+
+/**
+	Returns the symbols of a build by name. Overloads have a symbol each and
+	share the name, so the second and later ones get their position appended,
+	as in "avro.generic.GenericDatum.this#2".
+*/
+function getSymbolsByKey(symbols)
+{
+	var ret = {};
+	symbols.forEach(function(sym) {
+		var key = sym.name;
+		for (var n = 2; ret.hasOwnProperty(key); n++) key = sym.name + "#" + n;
+		ret[key] = sym;
+	});
+	return ret;
+}
+
+function getSortedKeys(obj)
+{
+	return Object.keys(obj).sort();
+}
+
+// Returns the HTML pages of a file hash list, sorted.
+function getSortedPages(hashes)
+{
+	return getSortedKeys(hashes).filter(function(file) { return /\.html$/.test(file); });
+}
+
+// Returns the elements of a that are not in b.
+function subtractList(a, b)
+{
+	return a.filter(function(x) { return b.indexOf(x) < 0; });
+}
+
+/**
+	Compares two builds, each given as {symbols, hashes}.
+
+	Returns the added and removed symbols, the symbols whose kind or
+	attributes changed ({name, kind, path, oldKind, added, removed}, with the
+	added and removed attributes) and, if both builds have hashes, the pages
+	that were added, removed or whose content changed. Every page repeats the
+	navigation, so adding or removing a module changes all pages.
+*/
+function diffApiBuilds(oldBuild, newBuild)
+{
+	var oldSymbols = getSymbolsByKey(oldBuild.symbols);
+	var newSymbols = getSymbolsByKey(newBuild.symbols);
+	var diff = {added: [], removed: [], changed: [], pages: null};
+
+	getSortedKeys(newSymbols).forEach(function(key) {
+		if (!oldSymbols.hasOwnProperty(key)) diff.added.push(newSymbols[key]);
+	});
+	getSortedKeys(oldSymbols).forEach(function(key) {
+		var sym = oldSymbols[key];
+		if (!newSymbols.hasOwnProperty(key)) {
+			diff.removed.push(sym);
+			return;
+		}
+		var nsym = newSymbols[key];
+		var added = subtractList(nsym.attributes, sym.attributes);
+		var removed = subtractList(sym.attributes, nsym.attributes);
+		if (nsym.kind != sym.kind || added.length > 0 || removed.length > 0)
+			diff.changed.push({name: nsym.name, kind: nsym.kind, path: nsym.path, oldKind: sym.kind, added: added, removed: removed});
+	});
+
+	if (oldBuild.hashes && newBuild.hashes) {
+		diff.pages = {added: [], removed: [], changed: []};
+		getSortedPages(newBuild.hashes).forEach(function(page) {
+			if (!oldBuild.hashes.hasOwnProperty(page)) diff.pages.added.push(page);
+			else if (oldBuild.hashes[page].toLowerCase() != newBuild.hashes[page].toLowerCase()) diff.pages.changed.push(page);
+		});
+		getSortedPages(oldBuild.hashes).forEach(function(page) {
+			if (!newBuild.hashes.hasOwnProperty(page)) diff.pages.removed.push(page);
+		});
+	}
+	return diff;
+}
+
+function isEmptyApiDiff(diff)
+{
+	return diff.added.length == 0 && diff.removed.length == 0 && diff.changed.length == 0
+		&& (diff.pages === null || diff.pages.added.length + diff.pages.removed.length + diff.pages.changed.length == 0);
+}
+
+// Returns the kind of a symbol as shown in the report, e.g. "class" for "classdeclaration".
+function formatSymbolKind(kind)
+{
+	return kind.replace(/declaration$/, "");
+}
+
+// Describes the changes of a symbol of diff.changed, e.g. "-abstract +nothrow".
+function formatSymbolChange(change)
+{
+	var parts = [];
+	if (change.kind != change.oldKind) parts.push(formatSymbolKind(change.oldKind) + " \u2192 " + formatSymbolKind(change.kind));
+	change.removed.forEach(function(attr) { parts.push("-" + attr); });
+	change.added.forEach(function(attr) { parts.push("+" + attr); });
+	return parts.join(" ");
+}
+
+// Formats a diff as Markdown, to be used as a starting point for upgrade notes.
+function formatApiDiff(diff, oldLabel, newLabel)
+{
+	var lines = ["# API changes from " + oldLabel + " to " + newLabel];
+	var section = function(title, items, format) {
+		if (items.length == 0) return;
+		lines.push("", "## " + title + " (" + items.length + ")", "");
+		items.forEach(function(item) { lines.push("- " + format(item)); });
+	};
+	var symbol = function(sym) { return "`" + sym.name + "` (" + formatSymbolKind(sym.kind) + ")"; };
+	var page = function(path) { return path; };
+
+	if (isEmptyApiDiff(diff)) lines.push("", "No changes.");
+	section("Added symbols", diff.added, symbol);
+	section("Removed symbols", diff.removed, symbol);
+	section("Changed symbols", diff.changed, function(change) { return symbol(change) + ": " + formatSymbolChange(change); });
+	if (diff.pages !== null) {
+		section("Added pages", diff.pages.added, page);
+		section("Removed pages", diff.pages.removed, page);
+		section("Changed pages", diff.pages.changed, page);
+	}
+	return lines.join("\n") + "\n";
+}
+
+// lets tools/apidiff.js use the comparison in Node
+if (typeof(module) != "undefined")
+	module.exports = {
+		parseSymbolsScript: parseSymbolsScript,
+		parseFileHashes: parseFileHashes,
+		diffApiBuilds: diffApiBuilds,
+		isEmptyApiDiff: isEmptyApiDiff,
+		formatApiDiff: formatApiDiff
+	};
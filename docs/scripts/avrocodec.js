@@ -0,0 +1,560 @@
+/**
+	A port of the binary and JSON codecs of avro.codec and of the generic
+	reader and writer of avro.generic, used by the encoding visualizer. The
+	binary encoder and decoder record an annotated segment for every range of
+	bytes they write or read.
+
+	Schemas are the ones returned by parseAvroSchema of schemaparser.js. Long
+	values are represented as BigInt, so that all 64 bits are kept.
+*/
+
+var avroLongMin = -(BigInt(1) << BigInt(63));
+var avroLongMax = (BigInt(1) << BigInt(63)) - BigInt(1);
+
+function encodeZigzagLong(n)
+{
+	return BigInt.asUintN(64, (n << BigInt(1)) ^ (n >> BigInt(63)));
+}
+
+function decodeZigzagLong(n)
+{
+	return BigInt.asIntN(64, (n >> BigInt(1)) ^ -(n & BigInt(1)));
+}
+
+// Zigzag encodes a long and writes it as a variable-length integer, see avro.codec.zigzag.encodeLong.
+function encodeAvroLong(n)
+{
+	var val = encodeZigzagLong(BigInt(n));
+	var ret = [];
+	while (val > BigInt(0x7F)) {
+		ret.push(Number(val & BigInt(0x7F)) | 0x80);
+		val >>= BigInt(7);
+	}
+	ret.push(Number(val));
+	return ret;
+}
+
+function toAvroInt(n)
+{
+	if (n > BigInt(2147483647)) throw createSchemaError("ConvOverflowException", "Conversion positive overflow");
+	if (n < BigInt(-2147483648)) throw createSchemaError("ConvOverflowException", "Conversion negative overflow");
+	return Number(n);
+}
+
+// Converts a string to UTF-8 code units and back.
+function encodeUtf8(str)
+{
+	return unescape(encodeURIComponent(str)).split("").map(function(c) { return c.charCodeAt(0); });
+}
+
+function decodeUtf8(bytes)
+{
+	try {
+		return decodeURIComponent(escape(String.fromCharCode.apply(null, bytes)));
+	} catch (e) {
+		throw createSchemaError("UTFException", "Invalid UTF-8 sequence");
+	}
+}
+
+function formatHexBytes(bytes)
+{
+	return bytes.map(function(b) { return (b < 16 ? "0" : "") + b.toString(16); }).join(" ");
+}
+
+// Formats a float or double with the fewest digits that read back as the same value.
+function formatAvroFloat(value, isFloat)
+{
+	if (value === Infinity) return "Infinity";
+	if (value === -Infinity) return "-Infinity";
+	if (value !== value) return "NaN";
+	if (!isFloat) return String(value);
+	for (var p = 1; p < 9; p++)
+		if (Math.fround(Number(value.toPrecision(p))) === value) return String(Number(value.toPrecision(p)));
+	return String(Number(value.toPrecision(9)));
+}
+
+function getFloatBytes(value, isFloat)
+{
+	var view = new DataView(new ArrayBuffer(isFloat ? 4 : 8));
+	if (isFloat) view.setFloat32(0, value, true);
+	else view.setFloat64(0, value, true);
+	var ret = [];
+	for (var i = 0; i < view.byteLength; i++) ret.push(view.getUint8(i));
+	return ret;
+}
+
+function describeVarint(what, value)
+{
+	return what + " (zigzag " + encodeZigzagLong(BigInt(value)) + ")";
+}
+
+/**
+	Creates an encoder for Avro's binary encoding, see avro.codec.binaryencoder.
+	The path member names the part of the datum being written and is stored
+	with each segment.
+*/
+function createBinaryEncoder()
+{
+	var e = {bytes: [], segments: [], path: ""};
+	e.put = function(bytes, kind, text) {
+		this.segments.push({start: this.bytes.length, end: this.bytes.length + bytes.length, path: this.path, kind: kind, text: text});
+		Array.prototype.push.apply(this.bytes, bytes);
+	};
+	e.writeNull = function() { this.put([], "null", "null, no bytes"); };
+	e.writeBoolean = function(b) { this.put([b ? 1 : 0], "boolean", "boolean " + b); };
+	e.writeInt = function(n) { this.put(encodeAvroLong(n), "zigzag", describeVarint("int " + n, n)); };
+	e.writeLong = function(n) { this.put(encodeAvroLong(n), "zigzag", describeVarint("long " + n, n)); };
+	e.writeFloat = function(f) { this.put(getFloatBytes(f, true), "float", "float " + formatAvroFloat(f, true) + " (IEEE 754, little-endian)"); };
+	e.writeDouble = function(d) { this.put(getFloatBytes(d, false), "float", "double " + formatAvroFloat(d, false) + " (IEEE 754, little-endian)"); };
+	e.writeString = function(str) {
+		var bytes = encodeUtf8(str);
+		this.put(encodeAvroLong(bytes.length), "length", describeVarint("string length " + bytes.length, bytes.length));
+		if (bytes.length > 0) this.put(bytes, "data", "UTF-8 text " + JSON.stringify(str));
+	};
+	e.writeBytes = function(bytes) {
+		this.put(encodeAvroLong(bytes.length), "length", describeVarint("bytes length " + bytes.length, bytes.length));
+		if (bytes.length > 0) this.put(bytes, "data", "bytes data");
+	};
+	e.writeFixed = function(bytes) { this.put(bytes, "data", "fixed data"); };
+	e.writeEnum = function(index, symbol) { this.put(encodeAvroLong(index), "index", describeVarint("enum index " + index + " = " + symbol, index)); };
+	e.writeArrayStart = e.writeMapStart = function() {};
+	e.setItemCount = function(count) {
+		if (count > 0) this.put(encodeAvroLong(count), "block", describeVarint("block count " + count, count));
+	};
+	e.startItem = function() {};
+	e.writeArrayEnd = e.writeMapEnd = function() { this.put([0], "block", describeVarint("block count 0, end of items", 0)); };
+	e.writeMapKey = function(key) { this.writeString(key); };
+	e.writeRecordStart = e.writeRecordEnd = e.writeRecordKey = function() {};
+	e.writeUnionStart = e.writeUnionEnd = function() {};
+	e.writeUnionType = function(index, name) { this.put(encodeAvroLong(index), "index", describeVarint("union branch " + index + " = " + name, index)); };
+	return e;
+}
+
+/**
+	Creates a decoder for Avro's binary encoding, see avro.codec.binarydecoder.
+	Like the encoder, it records a segment for the bytes of each value read.
+*/
+function createBinaryDecoder(bytes)
+{
+	var d = {bytes: bytes, pos: 0, segments: [], path: ""};
+	d.take = function(count, kind, describe) {
+		if (this.pos + count > this.bytes.length)
+			throw createSchemaError("AvroRuntimeException", "Unexpected end of data at byte " + this.bytes.length + ", " + count + " more bytes expected");
+		var ret = this.bytes.slice(this.pos, this.pos + count);
+		this.segments.push({start: this.pos, end: this.pos + count, path: this.path, kind: kind, text: describe(ret)});
+		this.pos += count;
+		return ret;
+	};
+	d.doReadLong = function(kind, describe) {
+		var encoded = BigInt(0), shift = 0, start = this.pos, u;
+		do {
+			if (shift >= 64) throw createSchemaError("AvroRuntimeException", "Invalid Avro varint");
+			if (this.pos >= this.bytes.length) throw createSchemaError("AvroRuntimeException", "Unexpected end of data at byte " + this.pos + " in a varint");
+			u = this.bytes[this.pos++];
+			encoded |= BigInt(u & 0x7F) << BigInt(shift);
+			shift += 7;
+		} while (u & 0x80);
+		var val = decodeZigzagLong(encoded);
+		this.segments.push({start: start, end: this.pos, path: this.path, kind: kind, text: describe(val)});
+		return val;
+	};
+	d.doReadLength = function(what) {
+		var len = toAvroInt(this.doReadLong("length", function(n) { return describeVarint(what + " length " + n, n); }));
+		if (len < 0) throw createSchemaError("AvroRuntimeException", "Cannot have negative length: " + len);
+		return len;
+	};
+	d.doReadItemCount = function() {
+		var result = this.doReadLong("block", function(n) {
+			return describeVarint(n == 0 ? "block count 0, end of items" : n < 0 ? "block count " + n + ", the block size follows" : "block count " + n, n);
+		});
+		if (result < 0) {
+			this.doReadLong("length", function(n) { return describeVarint("block size " + n, n); });
+			result = -result;
+		}
+		return Number(result);
+	};
+	d.readNull = function() { this.take(0, "null", function() { return "null, no bytes"; }); return null; };
+	d.readBoolean = function() {
+		var b = this.take(1, "boolean", function(b) { return "boolean " + (b[0] == 1); })[0];
+		if (b > 1) throw createSchemaError("ConvOverflowException", "Conversion positive overflow");
+		return b == 1;
+	};
+	d.readInt = function() { return toAvroInt(this.doReadLong("zigzag", function(n) { return describeVarint("int " + n, n); })); };
+	d.readLong = function() { return this.doReadLong("zigzag", function(n) { return describeVarint("long " + n, n); }); };
+	d.readFloat = function() {
+		var b = this.take(4, "float", function(b) { return "float " + formatAvroFloat(new DataView(new Uint8Array(b).buffer).getFloat32(0, true), true) + " (IEEE 754, little-endian)"; });
+		return new DataView(new Uint8Array(b).buffer).getFloat32(0, true);
+	};
+	d.readDouble = function() {
+		var b = this.take(8, "float", function(b) { return "double " + formatAvroFloat(new DataView(new Uint8Array(b).buffer).getFloat64(0, true), false) + " (IEEE 754, little-endian)"; });
+		return new DataView(new Uint8Array(b).buffer).getFloat64(0, true);
+	};
+	d.readString = function() {
+		var len = this.doReadLength("string");
+		if (len == 0) return "";
+		return decodeUtf8(this.take(len, "data", function(b) { return "UTF-8 text " + JSON.stringify(decodeUtf8(b)); }));
+	};
+	d.readBytes = function() {
+		var len = this.doReadLength("bytes");
+		if (len == 0) return [];
+		return this.take(len, "data", function(b) { return "bytes data"; });
+	};
+	d.readFixed = function(size) { return this.take(size, "data", function(b) { return "fixed data"; }); };
+	d.readEnum = function(schema) {
+		var index = toAvroInt(this.doReadLong("index", function(n) {
+			return describeVarint("enum index " + n + (n >= 0 && n < schema.symbols.length ? " = " + schema.symbols[n] : ""), n);
+		}));
+		if (index < 0 || index >= schema.symbols.length) throw createSchemaError("AvroRuntimeException", "Enum index out of range: " + index);
+		return index;
+	};
+	d.readArrayStart = d.readArrayNext = d.readMapStart = d.readMapNext = d.doReadItemCount;
+	d.readRecordStart = d.readRecordEnd = d.readUnionEnd = function() {};
+	d.readRecordKey = function() { return null; };
+	d.readUnionIndex = function(schema) {
+		return toAvroInt(this.doReadLong("index", function(n) {
+			return describeVarint("union branch " + n + (n >= 0 && n < schema.types.length ? " = " + getSchemaFullname(schema.types[n]) : ""), n);
+		}));
+	};
+	return d;
+}
+
+/**
+	Splits JSON text into the tokens of avro.codec.jsonlexer, with the same
+	checks of separators and the same error messages.
+*/
+function lexAvroJson(text)
+{
+	var tokens = [], pos = 0;
+	var state = "START", stack = [];
+
+	function unexpected(ch)
+	{
+		return createSchemaError("JsonLexException", "Unexpected character in json '" + ch + "'.");
+	}
+
+	function next()
+	{
+		while (pos < text.length && /\s/.test(text.charAt(pos))) pos++;
+		if (pos >= text.length) throw createSchemaError("JsonLexException", "Unexpected EOF");
+		return text.charAt(pos++);
+	}
+
+	while (true) {
+		while (pos < text.length && /\s/.test(text.charAt(pos))) pos++;
+		if (pos >= text.length) break;
+		var ch = next();
+		if (ch == "]" || ch == "}") {
+			if (ch == "]" ? state != "ARRAY_0" && state != "ARRAY_N" : state != "OBJECT_0" && state != "OBJECT_N") throw unexpected(ch);
+			state = stack.pop();
+			tokens.push({type: ch == "]" ? "ARRAY_END" : "OBJECT_END"});
+			continue;
+		} else if (ch == ",") {
+			if (state != "OBJECT_N" && state != "ARRAY_N") throw unexpected(ch);
+			if (state == "OBJECT_N") state = "OBJECT_0";
+			ch = next();
+		} else if (ch == ":") {
+			if (state != "KEY") throw unexpected(ch);
+			state = "OBJECT_N";
+			ch = next();
+		}
+
+		if (state == "OBJECT_0") {
+			if (ch != "\"") throw unexpected(ch);
+			state = "KEY";
+		} else if (state == "ARRAY_0") {
+			state = "ARRAY_N";
+		}
+
+		if (ch == "[" || ch == "{") {
+			stack.push(state);
+			state = ch == "[" ? "ARRAY_0" : "OBJECT_0";
+			tokens.push({type: ch == "[" ? "ARRAY_START" : "OBJECT_START"});
+		} else if (ch == "\"") {
+			var m = /^(?:[^"\\]|\\(?:["\\\/bfnrt]|[uU][0-9a-fA-F]{4}))*/.exec(text.substr(pos));
+			pos += m[0].length;
+			if (pos >= text.length) throw createSchemaError("JsonLexException", "Unexpected EOF");
+			if (text.charAt(pos) == "\\") throw unexpected(text.charAt(pos + 1));
+			pos++;
+			var escaped = m[0].replace(/\\U/g, "\\u").replace(/[\u0000-\u001F]/g, function(c) { return "\\u00" + (c.charCodeAt(0) < 16 ? "0" : "") + c.charCodeAt(0).toString(16); });
+			tokens.push({type: "STRING", value: JSON.parse("\"" + escaped + "\"")});
+		} else if (ch == "t" || ch == "f" || ch == "n") {
+			var literal = ch == "t" ? "true" : ch == "f" ? "false" : "null";
+			if (text.substr(pos - 1, literal.length) != literal || /\w/.test(text.charAt(pos - 1 + literal.length)))
+				throw unexpected(text.charAt(pos));
+			pos += literal.length - 1;
+			tokens.push(ch == "n" ? {type: "NULL"} : {type: "BOOL", value: ch == "t"});
+		} else if (/[0-9-]/.test(ch)) {
+			var m = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.substr(pos - 1));
+			if (!m) throw unexpected(text.charAt(pos) || ch);
+			pos += m[0].length - 1;
+			if (m[2] || m[3]) {
+				tokens.push({type: "DOUBLE", value: parseFloat(m[0])});
+			} else {
+				var value = BigInt(m[0]);
+				if (value < avroLongMin || value > avroLongMax) throw createSchemaError("ConvOverflowException", "Overflow");
+				tokens.push({type: "LONG", value: value});
+			}
+		} else {
+			throw unexpected(ch);
+		}
+	}
+	return tokens;
+}
+
+/**
+	Creates a decoder for Avro's JSON encoding, see avro.codec.jsondecoder.
+	Unions are written as {"type": value}, except for null, and records must
+	list their fields in the order of the schema.
+*/
+function createJsonDecoder(text)
+{
+	var d = {tokens: lexAvroJson(text), pos: 0, path: ""};
+	d.peek = function() {
+		if (this.pos >= this.tokens.length) throw createSchemaError("JsonLexException", "Unexpected EOF");
+		return this.tokens[this.pos].type;
+	};
+	d.expectToken = function(type) {
+		var token = this.pos < this.tokens.length ? this.tokens[this.pos++] : null;
+		if (!token) throw createSchemaError("JsonLexException", "Unexpected EOF");
+		if (token.type == type) return token.value;
+		if (type == "DOUBLE") {
+			if (token.type == "STRING" && (token.value == "Infinity" || token.value == "-Infinity" || token.value == "NaN"))
+				return token.value == "NaN" ? NaN : token.value == "Infinity" ? Infinity : -Infinity;
+			if (token.type == "LONG") return Number(token.value);
+		}
+		throw createSchemaError("JsonLexException", "Incorrect token in the stream. Expected: " + type + ", found " + token.type);
+	};
+	d.toBytes = function(str) {
+		return str.split("").map(function(c) {
+			if (c.charCodeAt(0) > 255) throw createSchemaError("ConvOverflowException", "Conversion positive overflow");
+			return c.charCodeAt(0);
+		});
+	};
+	d.readNull = function() { this.expectToken("NULL"); return null; };
+	d.readBoolean = function() { return this.expectToken("BOOL"); };
+	d.readLong = function() { return this.expectToken("LONG"); };
+	d.readInt = function() { return toAvroInt(this.readLong()); };
+	d.readDouble = function() { return this.expectToken("DOUBLE"); };
+	d.readFloat = function() { return Math.fround(this.readDouble()); };
+	d.readString = function() { return this.expectToken("STRING"); };
+	d.readBytes = function() { return this.toBytes(this.expectToken("STRING")); };
+	d.readFixed = function(size) {
+		var bytes = this.readBytes();
+		if (bytes.length != size)
+			throw createSchemaError("Exception", "Expected fixed with " + size + " bytes, but got " + bytes.length + " bytes.");
+		return bytes;
+	};
+	d.readEnum = function(schema) {
+		var symbol = this.expectToken("STRING");
+		if (schema.symbols.indexOf(symbol) < 0) throw createSchemaError("AvroRuntimeException", "Unrecognized enum symbol: " + symbol);
+		return schema.symbols.indexOf(symbol);
+	};
+	d.readRecordStart = function() { this.expectToken("OBJECT_START"); };
+	d.readRecordKey = function() { return this.expectToken("STRING"); };
+	d.readRecordEnd = function() { this.expectToken("OBJECT_END"); };
+	d.readArrayStart = function() { this.expectToken("ARRAY_START"); return this.readArrayNext(); };
+	d.readArrayNext = function() {
+		if (this.peek() == "ARRAY_END") { this.pos++; return 0; }
+		return 1;
+	};
+	d.readMapStart = function() { this.expectToken("OBJECT_START"); return this.readMapNext(); };
+	d.readMapNext = function() {
+		if (this.peek() == "OBJECT_END") { this.pos++; return 0; }
+		return 1;
+	};
+	d.readUnionIndex = function(schema) {
+		var name = "null";
+		if (this.peek() != "NULL") {
+			this.expectToken("OBJECT_START");
+			name = this.expectToken("STRING");
+		}
+		var names = schema.types.map(getSchemaFullname);
+		if (names.indexOf(name) < 0) throw createSchemaError("RangeError", "Range violation, the union has no branch " + JSON.stringify(name));
+		return names.indexOf(name);
+	};
+	d.readUnionEnd = function() { this.expectToken("OBJECT_END"); };
+	return d;
+}
+
+// Escapes a string like avro.codec.jsonutil.encodeJsonString.
+function encodeJsonString(str)
+{
+	var escapes = {"\"": "\\\"", "\\": "\\\\", "/": "\\/", "\b": "\\b", "\f": "\\f", "\n": "\\n", "\r": "\\r", "\t": "\\t"};
+	return str.replace(/["\\\/\b\f\n\r\t\u0000-\u001F\u007F-\u009F\u2000-\u20FF]/g, function(c) {
+		if (escapes.hasOwnProperty(c)) return escapes[c];
+		var hex = c.charCodeAt(0).toString(16).toUpperCase();
+		return "\\u" + "0000".substr(hex.length) + hex;
+	});
+}
+
+/**
+	Creates an encoder for Avro's JSON encoding, see avro.codec.jsonencoder.
+	The text is collected in the text member.
+*/
+function createJsonEncoder()
+{
+	var e = {text: "", firstItem: true, path: ""};
+	e.writeNull = function() { this.text += "null"; };
+	e.writeBoolean = function(b) { this.text += b ? "true" : "false"; };
+	e.writeInt = e.writeLong = function(n) { this.text += String(n); };
+	e.writeFloat = function(f) { this.text += formatAvroFloat(f, true); };
+	e.writeDouble = function(d) { this.text += formatAvroFloat(d, false); };
+	e.writeString = function(str) { this.text += "\"" + encodeJsonString(str) + "\""; };
+	e.writeRecordKey = e.writeMapKey = function(key) {
+		this.writeString(key);
+		this.text += ": ";
+	};
+	e.writeFixed = e.writeBytes = function(bytes) { this.writeString(String.fromCharCode.apply(null, bytes)); };
+	e.writeEnum = function(index, symbol) { this.writeString(symbol); };
+	e.writeArrayStart = function() {
+		this.text += "[";
+		this.firstItem = true;
+	};
+	e.setItemCount = function() {};
+	e.startItem = function() {
+		if (!this.firstItem) this.text += ", ";
+		this.firstItem = false;
+	};
+	e.writeArrayEnd = function() { this.text += "]"; };
+	e.writeMapStart = e.writeRecordStart = function() {
+		this.text += "{";
+		this.firstItem = true;
+	};
+	e.writeMapEnd = e.writeRecordEnd = function() { this.text += "}"; };
+	e.writeUnionStart = function() { this.text += "{"; };
+	e.writeUnionType = function(index, name) { this.writeMapKey(name); };
+	e.writeUnionEnd = function() { this.text += "}"; };
+	return e;
+}
+
+/**
+	Reads a datum of a schema from a decoder, see avro.generic.genericreader.
+	Returns {schema, value}, with the index and schema of the union for union
+	branches. Record values are arrays of field datums, map values arrays of
+	[key, datum] pairs in the order read.
+*/
+function readAvroDatum(d, schema, path)
+{
+	var datum = {schema: schema, value: null};
+	d.path = path;
+	if (schema.type == "union") {
+		var index = d.readUnionIndex(schema);
+		if (index < 0 || index >= schema.types.length) throw createSchemaError("AvroRuntimeException", "Union index out of range: " + index);
+		datum.unionSchema = schema;
+		datum.unionIndex = index;
+		datum.schema = schema = schema.types[index];
+	}
+	switch (schema.type) {
+		case "null": datum.value = d.readNull(); break;
+		case "boolean": datum.value = d.readBoolean(); break;
+		case "int": datum.value = d.readInt(); break;
+		case "long": datum.value = d.readLong(); break;
+		case "float": datum.value = d.readFloat(); break;
+		case "double": datum.value = d.readDouble(); break;
+		case "string": datum.value = d.readString(); break;
+		case "bytes": datum.value = d.readBytes(); break;
+		case "fixed": datum.value = d.readFixed(schema.size); break;
+		case "enum": datum.value = d.readEnum(schema); break;
+		case "record":
+			datum.value = [];
+			d.readRecordStart();
+			for (var i = 0; i < schema.fields.length; i++) {
+				var key = d.readRecordKey();
+				if (key !== null && key != schema.fields[i].name)
+					throw createSchemaError("AvroRuntimeException", "Order or value of key '" + key + "' does not match schema.");
+				datum.value.push(readAvroDatum(d, schema.fields[i].type, (path ? path + "." : "") + schema.fields[i].name));
+			}
+			d.path = path;
+			d.readRecordEnd();
+			break;
+		case "array":
+			datum.value = [];
+			for (var m = d.readArrayStart(); m != 0; m = d.readArrayNext()) {
+				for (var end = datum.value.length + m; datum.value.length < end; )
+					datum.value.push(readAvroDatum(d, schema.items, path + "[" + datum.value.length + "]"));
+				d.path = path;
+			}
+			break;
+		case "map":
+			datum.value = [];
+			for (var m = d.readMapStart(); m != 0; m = d.readMapNext()) {
+				for (var j = 0; j < m; j++) {
+					d.path = path + "[key " + datum.value.length + "]";
+					var key = d.readString();
+					datum.value.push([key, readAvroDatum(d, schema.values, path + "[" + JSON.stringify(key) + "]")]);
+				}
+				d.path = path;
+			}
+			break;
+	}
+	d.path = path;
+	if (datum.unionSchema && schema.type != "null") d.readUnionEnd();
+	return datum;
+}
+
+/**
+	Writes a datum read by readAvroDatum to an encoder, see
+	avro.generic.genericwriter. Arrays and maps are written as a single block.
+	Map entries are written in the order read, while the D writer iterates
+	over an associative array, so it may order the entries of larger maps
+	differently.
+*/
+function writeAvroDatum(datum, e, path)
+{
+	var schema = datum.schema;
+	e.path = path;
+	if (datum.unionSchema) {
+		e.writeUnionStart();
+		e.writeUnionType(datum.unionIndex, getSchemaFullname(schema));
+	}
+	switch (schema.type) {
+		case "null": e.writeNull(); break;
+		case "boolean": e.writeBoolean(datum.value); break;
+		case "int": e.writeInt(datum.value); break;
+		case "long": e.writeLong(datum.value); break;
+		case "float": e.writeFloat(datum.value); break;
+		case "double": e.writeDouble(datum.value); break;
+		case "string": e.writeString(datum.value); break;
+		case "bytes": e.writeBytes(datum.value); break;
+		case "fixed": e.writeFixed(datum.value); break;
+		case "enum": e.writeEnum(datum.value, schema.symbols[datum.value]); break;
+		case "record":
+			e.writeRecordStart();
+			for (var i = 0; i < schema.fields.length; i++) {
+				e.startItem();
+				e.writeRecordKey(schema.fields[i].name);
+				writeAvroDatum(datum.value[i], e, (path ? path + "." : "") + schema.fields[i].name);
+			}
+			e.path = path;
+			e.writeRecordEnd();
+			break;
+		case "array":
+			e.writeArrayStart();
+			if (datum.value.length > 0) {
+				e.setItemCount(datum.value.length);
+				for (var i = 0; i < datum.value.length; i++) {
+					e.startItem();
+					writeAvroDatum(datum.value[i], e, path + "[" + i + "]");
+				}
+			}
+			e.path = path;
+			e.writeArrayEnd();
+			break;
+		case "map":
+			e.writeMapStart();
+			if (datum.value.length > 0) {
+				e.setItemCount(datum.value.length);
+				for (var i = 0; i < datum.value.length; i++) {
+					e.startItem();
+					e.path = path + "[key " + i + "]";
+					e.writeMapKey(datum.value[i][0]);
+					writeAvroDatum(datum.value[i][1], e, path + "[" + JSON.stringify(datum.value[i][0]) + "]");
+				}
+			}
+			e.path = path;
+			e.writeMapEnd();
+			break;
+	}
+	e.path = path;
+	if (datum.unionSchema) e.writeUnionEnd();
+}
@@ -3,7 +3,26 @@ function setupDdox()
 	$(".tree-view .package").click(toggleTree);
 	$(".tree-view .package a").click(dummy);
 	//$(".tree-view.collapsed").children("ul").hide();
+	setupTree();
+	setupOfflineCache();
+	setupSymbolPreviews();
+	setupMemberFilter();
 	$("#symbolSearch").attr("tabindex", "1000");
+	$("#symbolSearch").keydown(symbolSearchKeyDown);
+	$(document).keydown(globalKeyDown);
+
+	// run searches shared as links, e.g. "index.html?q=readUnion"
+	var searchstring = getUrlParameter("q");
+	if (searchstring !== null && $("#symbolSearch").length > 0) {
+		$("#symbolSearch").val(searchstring);
+		if ($("#symbolSearchPage").length > 0) {
+			renderSymbolSearchPage();
+		} else {
+			document.getElementById("symbolSearch").onchange();
+		}
+	} else if ($("#symbolSearchPage").length > 0) {
+		renderSymbolSearchPage();
+	}
 }
 
 function dummy() { window.location = $(this).attr("href"); }
@@ -11,128 +30,874 @@ function dummy() { window.location = $(this).attr("href"); }
 function toggleTree()
 {
 	node = $(this).parent();
-	node.toggleClass("collapsed");
-	if( node.hasClass("collapsed") ){
+	setTreeNodeCollapsed(node, !node.hasClass("collapsed"));
+	saveTreeState(getTreePackageName(node), node.hasClass("collapsed"));
+	return false;
+}
+
+function setTreeNodeCollapsed(node, collapsed)
+{
+	node.toggleClass("collapsed", collapsed);
+	if( collapsed ){
 		node.children("ul").hide();
 	} else {
 		node.children("ul").show();
 	}
-	return false;
+}
+
+var treeStateKey = "ddox.treeState";
+
+// Returns the stored collapsed state of each package, keyed by its full package name.
+function loadTreeState()
+{
+	try {
+		return JSON.parse(window.localStorage.getItem(treeStateKey)) || {};
+	} catch (e) {
+		return {}; // storage disabled or not available for file:// pages
+	}
+}
+
+function saveTreeState(packageName, collapsed)
+{
+	var state = loadTreeState();
+	state[packageName] = collapsed;
+	try { window.localStorage.setItem(treeStateKey, JSON.stringify(state)); }
+	catch (e) {}
+}
+
+// Returns the dotted name of the package of a ".tree-view" list item, e.g. "avro.codec".
+function getTreePackageName(node)
+{
+	var names = [];
+	node.parents("li.tree-view").addBack().each(function() {
+		names.push($.trim($(this).children(".package").text()));
+	});
+	return names.join(".");
+}
+
+function getTreeModuleName(link)
+{
+	return $(link).attr("href").replace(/^(\.\.?\/)+/, "").replace(/\.html$/, "").replace(/\//g, ".");
+}
+
+/**
+	Restores the collapsed state of the packages, expands the packages
+	containing the current module and adds the filter and expand/collapse all
+	controls above the tree.
+*/
+function setupTree()
+{
+	var tree = $("#main-nav > ul.tree-view");
+	if (tree.length == 0) return;
+
+	applyTreeState();
+
+	var controls = $('<div class="treeControls"/>');
+	var filter = $('<input type="text" id="treeFilter" placeholder="Filter modules" autocomplete="off"/>');
+	filter.on("input", function() { filterTree($(this).val()); });
+	controls.append(filter);
+	controls.append($('<a href="#">expand all</a>').click(function() { setAllTreeNodesCollapsed(false); return false; }));
+	controls.append(" / ");
+	controls.append($('<a href="#">collapse all</a>').click(function() { setAllTreeNodesCollapsed(true); return false; }));
+	tree.before(controls);
+}
+
+function applyTreeState()
+{
+	var state = loadTreeState();
+	$("#main-nav li.tree-view").each(function() {
+		var node = $(this);
+		var name = getTreePackageName(node);
+		if (state.hasOwnProperty(name)) setTreeNodeCollapsed(node, state[name]);
+	});
+
+	// the generated pages only mark the module itself, so also match sub pages such as "jsonlexer/JsonLexer.html"
+	var page = window.location.href.replace(/[?#].*$/, "").replace(/\.html$/, "");
+	$("#main-nav .module a").each(function() {
+		var module = this.href.replace(/\.html$/, "");
+		if (page == module || page.substr(0, module.length + 1) == module + "/")
+			$(this).parent().addClass("selected");
+	});
+
+	$("#main-nav .module.selected").parents("li.tree-view").each(function() {
+		setTreeNodeCollapsed($(this), false);
+	});
+}
+
+function setAllTreeNodesCollapsed(collapsed)
+{
+	$("#treeFilter").val("");
+	filterTree("");
+	$("#main-nav li.tree-view").each(function() {
+		var node = $(this);
+		// never collapse the root package
+		if (collapsed && node.parents("li.tree-view").length == 0) return;
+		setTreeNodeCollapsed(node, collapsed);
+		saveTreeState(getTreePackageName(node), collapsed);
+	});
+}
+
+var treeStateBeforeFilter = null;
+
+// Only shows the modules whose full name contains the filter string, expanding all packages while filtering.
+function filterTree(filter)
+{
+	filter = $.trim(filter).toLowerCase();
+	var items = $("#main-nav ul.tree-view li");
+	if (filter.length == 0) {
+		items.show();
+		if (treeStateBeforeFilter !== null) {
+			$("#main-nav li.tree-view").each(function(i) {
+				setTreeNodeCollapsed($(this), treeStateBeforeFilter[i]);
+			});
+			treeStateBeforeFilter = null;
+		}
+		return;
+	}
+
+	if (treeStateBeforeFilter === null)
+		treeStateBeforeFilter = $("#main-nav li.tree-view").map(function() { return $(this).hasClass("collapsed"); }).get();
+
+	$("#main-nav .module a").each(function() {
+		var visible = getTreeModuleName(this).toLowerCase().indexOf(filter) >= 0;
+		$(this).closest("li").toggle(visible);
+	});
+	$($("#main-nav li.tree-view").get().reverse()).each(function() {
+		var node = $(this);
+		var visible = node.find("li").filter(function() { return this.style.display != "none"; }).length > 0;
+		node.toggle(visible);
+		if (visible) setTreeNodeCollapsed(node, false);
+	});
 }
 
 var searchCounter = 0;
 var lastSearchString = "";
+var selectedSearchResult = -1;
+// the searchCounter of the results in the list, and of the search whose first result Enter opens once it is answered
+var shownSearchCounter = -1;
+var openSearchCounter = -1;
+
+// Focuses the symbol search box when "/" or "s" is pressed outside of an input field.
+function globalKeyDown(e)
+{
+	if (e.ctrlKey || e.altKey || e.metaKey) return;
+	if (e.key != "/" && e.key != "s") return;
+	var target = e.target;
+	if (target.isContentEditable || /^(input|textarea|select)$/i.test(target.tagName)) return;
+
+	var input = $("#symbolSearch");
+	if (input.length == 0) return;
+	input.focus();
+	input.select();
+	return false;
+}
+
+// Keyboard navigation through the result list while the search box has focus.
+function symbolSearchKeyDown(e)
+{
+	var links = $("#symbolSearchResults li > a");
+	switch (e.key) {
+		case "ArrowDown":
+		case "Down":
+			selectSearchResult(links, selectedSearchResult + 1 < links.length ? selectedSearchResult + 1 : 0);
+			return false;
+		case "ArrowUp":
+		case "Up":
+			selectSearchResult(links, selectedSearchResult > 0 ? selectedSearchResult - 1 : links.length - 1);
+			return false;
+		case "Enter":
+			// the list may still show the results of the previous search string
+			if (shownSearchCounter != searchCounter) {
+				openSearchCounter = searchCounter;
+				if (pendingSearchRun !== null) {
+					clearTimeout(searchTimer);
+					pendingSearchRun();
+				}
+			} else {
+				openSelectedSearchResult();
+			}
+			return false;
+		case "Escape":
+		case "Esc":
+			clearSymbolSearch();
+			$(this).blur();
+			return false;
+	}
+}
+
+function openSelectedSearchResult()
+{
+	var links = $("#symbolSearchResults li > a");
+	if (selectedSearchResult < 0 && links.length > 0) selectedSearchResult = 0;
+	if (selectedSearchResult >= 0 && selectedSearchResult < links.length)
+		window.location = links.eq(selectedSearchResult).attr("href");
+}
+
+function selectSearchResult(links, index)
+{
+	links.parent().removeClass("selected");
+	selectedSearchResult = links.length > 0 ? index : -1;
+	if (selectedSearchResult < 0) return;
+	var el = links.eq(selectedSearchResult).parent();
+	el.addClass("selected");
+	el[0].scrollIntoView({block: "nearest"});
+	if (previewsEnabled) scheduleSymbolPreview(el.children("a")[0]);
+}
+
+function clearSymbolSearch()
+{
+	$("#symbolSearch").val("");
+	lastSearchString = "";
+	searchCounter++;
+	clearTimeout(searchTimer);
+	pendingSearchRun = null;
+	selectedSearchResult = -1;
+	$('#symbolSearchResults').hide();
+	$('#symbolSearchResults').empty();
+	hideSymbolPreview();
+	updateSearchUrl("");
+}
+
+// Wraps the characters at the given (sorted) positions in <b> tags.
+function highlightMatches(text, positions)
+{
+	var ret = "";
+	var p = 0;
+	for (var i = 0; i < text.length; i++) {
+		var matched = p < positions.length && positions[p] == i;
+		if (matched) p++;
+		if (matched && positions[p-2] != i-1) ret += "<b>";
+		ret += text.charAt(i);
+		if (matched && (p >= positions.length || positions[p] != i+1)) ret += "</b>";
+	}
+	return ret;
+}
+
+var localSearchIndex = null;
+var fulltextStatus = "none";
+var symbolSearchScriptStatus = "none";
+
+// Returns the search index used for searches that run in the page instead of the worker.
+function getLocalSearchIndex()
+{
+	if (localSearchIndex === null) localSearchIndex = createSymbolSearchIndex(symbols, null);
+	return localSearchIndex;
+}
+
+function loadScript(src, onload, onerror)
+{
+	var script = document.createElement("script");
+	script.src = src;
+	script.onload = onload;
+	script.onerror = onerror;
+	document.getElementsByTagName("head")[0].appendChild(script);
+}
+
+/**
+	Loads fulltext.js, which is generated by tools/build-fulltext.js, on first
+	use. The name search does not wait for it; once loaded, the current search
+	is answered again to include the matches in the documentation text.
+*/
+function loadFulltextIndex()
+{
+	if (fulltextStatus != "none") return;
+	fulltextStatus = "loading";
+
+	loadScript(symbolSearchRootDir + "fulltext.js", function() {
+		if (typeof(fulltext) == "undefined") {
+			fulltextStatus = "failed";
+			return;
+		}
+		fulltextStatus = "loaded";
+
+		if (pendingSearch && $('#symbolSearchResults').is(":visible")) searchInPage(pendingSearch);
+		if ($("#symbolSearchPage").length > 0) renderSymbolSearchPage();
+	}, function() { fulltextStatus = "failed"; });
+}
+
+/**
+	Searches the symbol index for a lower case search string in the page (see
+	searchSymbols in symbolsearch.js). Matches in the documentation text
+	follow the name matches once the full-text index has been loaded.
+*/
+function findSymbols(searchstring)
+{
+	var found = searchSymbols(getLocalSearchIndex(), searchstring, fulltextStatus == "loaded" ? fulltext : null);
+	if (found.results !== null && found.terms.length > 0) loadFulltextIndex();
+	return found;
+}
+
+var searchDelay = 100;
+var searchTimer = null;
+var pendingSearchRun = null;
+var searchWorker = null;
+var searchWorkerStatus = "none";
+var pendingSearch = null;
+
+/**
+	Returns the worker that answers the searches (searchworker.js), or null if
+	there is none. Browsers refuse to start workers for pages opened from
+	file:// URLs, for example, in which case the searches run in the page.
+*/
+function getSearchWorker()
+{
+	if (searchWorkerStatus != "none") return searchWorker;
+	searchWorkerStatus = "failed";
+	if (typeof(Worker) == "undefined") return null;
+	try {
+		searchWorker = new Worker(symbolSearchRootDir + "scripts/searchworker.js");
+	} catch (e) {
+		return null;
+	}
+	searchWorkerStatus = "running";
+
+	searchWorker.onmessage = function(e) {
+		if (pendingSearch && e.data.id == pendingSearch.id) pendingSearch.callback(e.data);
+	};
+	// e.g. if the worker failed to load its scripts, continue without it
+	searchWorker.onerror = function(e) {
+		e.preventDefault();
+		searchWorker.terminate();
+		searchWorker = null;
+		searchWorkerStatus = "failed";
+		if (pendingSearch) searchInPage(pendingSearch);
+	};
+	return searchWorker;
+}
+
+/**
+	Searches in the worker, or in the page if there is none, and passes the
+	hints, the first maxresults results and the total number of results to
+	callback. Only the latest request is answered. The worker answers a
+	second time once it has loaded the full-text index.
+*/
+function requestSymbolSearch(id, searchstring, maxresults, callback)
+{
+	pendingSearch = {id: id, searchstring: searchstring, maxresults: maxresults, callback: callback};
+	var worker = getSearchWorker();
+	if (worker) worker.postMessage({id: id, query: searchstring, maxresults: maxresults});
+	else searchInPage(pendingSearch);
+}
+
+function searchInPage(request)
+{
+	// symbolsearch.js is included by search.html only, the other pages load it on first use
+	if (typeof(searchSymbols) == "undefined") {
+		if (symbolSearchScriptStatus != "none") return;
+		symbolSearchScriptStatus = "loading";
+		loadScript(symbolSearchRootDir + "scripts/symbolsearch.js", function() {
+			symbolSearchScriptStatus = "loaded";
+			if (pendingSearch) searchInPage(pendingSearch);
+		}, function() { symbolSearchScriptStatus = "failed"; });
+		return;
+	}
+	request.callback(limitSearchResults(findSymbols(request.searchstring), request.maxresults));
+}
+
+// Computes a length limited representation of a full symbol name and maps the matched positions onto it.
+function getShortName(name, positions, maxlen)
+{
+	var nameparts = name.split(".");
+	var np = nameparts.length-1;
+	var shortname = "." + nameparts[np];
+	while (np > 0 && nameparts[np-1].length + shortname.length <= maxlen) {
+		np--;
+		shortname = "." + nameparts[np] + shortname;
+	}
+	if (np > 0) shortname = ".." + shortname;
+	else shortname = shortname.substr(1);
+
+	var cut = name.length - shortname.length + (np > 0 ? 3 : 0);
+	var shortpositions = [];
+	for (var j in positions)
+		if (positions[j] >= cut)
+			shortpositions.push(positions[j] - cut + (np > 0 ? 3 : 0));
+
+	return highlightMatches(shortname, shortpositions);
+}
+
+// Creates the list item of a search result, with the given (highlighted) label.
+function createSearchResultItem(sym, label)
+{
+	var el = $(document.createElement("li"));
+	el.addClass(sym.kind);
+	for (var j in sym.attributes)
+		el.addClass(sym.attributes[j]);
+
+	el.append('<a href="'+symbolSearchRootDir+sym.path+'" title="'+sym.name+'" tabindex="1001">'+label+'</a>');
+	if (sym.snippet !== undefined)
+		el.append('<div class="searchSnippet">'+sym.snippet+'</div>');
+	return el;
+}
+
+function getSearchPageUrl(searchstring, page)
+{
+	var url = symbolSearchRootDir + "search.html?q=" + encodeURIComponent(searchstring);
+	if (page > 1) url += "&page=" + page;
+	return url;
+}
+
+// Returns the decoded value of a query string parameter of the current URL, or null.
+function getUrlParameter(name)
+{
+	var params = window.location.search.substr(1).split("&");
+	for (var i in params) {
+		var eq = params[i].indexOf("=");
+		var key = eq < 0 ? params[i] : params[i].substr(0, eq);
+		if (key != name) continue;
+		var value = eq < 0 ? "" : params[i].substr(eq + 1).replace(/\+/g, " ");
+		// hand-written links may contain malformed escapes, as in "?q=100%"
+		try {
+			return decodeURIComponent(value);
+		} catch (e) {
+			return value;
+		}
+	}
+	return null;
+}
+
+// Keeps the "q" parameter of the address bar in sync with the search box, so that searches can be shared.
+function updateSearchUrl(searchstring)
+{
+	if (!window.history || !history.replaceState) return;
+
+	var params = window.location.search.substr(1).split("&").filter(function(p) {
+		return p.length > 0 && p.substr(0, 2) != "q=" && p.substr(0, 5) != "page=";
+	});
+	if (searchstring.length > 0) params.unshift("q=" + encodeURIComponent(searchstring));
+
+	var url = window.location.pathname + (params.length > 0 ? "?" + params.join("&") : "") + window.location.hash;
+	try { history.replaceState(history.state, "", url); }
+	catch (e) {} // some browsers refuse to change file:// URLs
+}
 
 function performSymbolSearch(maxlen, maxresults)
 {
-	if (maxlen === 'undefined') maxlen = 26;
+	if (maxlen === undefined) maxlen = 26;
 	if (maxresults === undefined) maxresults = 40;
 
 	var searchstring = $("#symbolSearch").val().toLowerCase();
 
 	if (searchstring == lastSearchString) return;
 	lastSearchString = searchstring;
+	updateSearchUrl($.trim($("#symbolSearch").val()));
 
+	// search once typing pauses; answers that arrive after a newer search started are dropped
 	var scnt = ++searchCounter;
+	clearTimeout(searchTimer);
+	pendingSearchRun = function() {
+		pendingSearchRun = null;
+		if ($("#symbolSearchPage").length > 0) renderSymbolSearchPage();
+		requestSymbolSearch(scnt, searchstring, maxresults, function(found) {
+			if (scnt != searchCounter) return;
+			// the second answer, with the matches in the documentation, keeps the selection
+			showSymbolSearchResults(found, maxlen, maxresults, scnt == shownSearchCounter);
+			shownSearchCounter = scnt;
+			if (openSearchCounter == scnt) {
+				openSearchCounter = -1;
+				openSelectedSearchResult();
+			}
+		});
+	};
+	searchTimer = setTimeout(pendingSearchRun, searchDelay);
+}
+
+function showSymbolSearchResults(found, maxlen, maxresults, keepSelection)
+{
+	var selected = keepSelection && selectedSearchResult >= 0
+		? $("#symbolSearchResults li > a").eq(selectedSearchResult).attr("href") : undefined;
+	selectedSearchResult = -1;
+	hideSymbolPreview();
 	$('#symbolSearchResults').hide();
 	$('#symbolSearchResults').empty();
 
-	var terms = $.trim(searchstring).split(/\s+/);
-	if (terms.length == 0 || (terms.length == 1 && terms[0].length < 2)) return;
-
-	var results = [];
-	for (i in symbols) {
-		var sym = symbols[i];
-		var all_match = true;
-		for (j in terms)
-			if (sym.name.toLowerCase().indexOf(terms[j]) < 0) {
-				all_match = false;
-				break;
-			}
-		if (!all_match) continue;
+	for (var i in found.hints)
+		$('#symbolSearchResults').append($(document.createElement("li")).addClass("searchHint").text(found.hints[i]));
+	if (found.results === null) {
+		if (found.hints.length > 0) $('#symbolSearchResults').show();
+		return;
+	}
 
-		results.push(sym);
+	var results = found.results;
+	for (var i = 0; i < results.length && i < maxresults; i++) {
+		var sym = results[i];
+
+		if (sym.snippet !== undefined && (i == 0 || results[i-1].snippet === undefined))
+			$('#symbolSearchResults').append('<li class="searchHeading">Found in documentation</li>');
+
+		$('#symbolSearchResults').append(createSearchResultItem(sym, getShortName(sym.name, sym.positions, maxlen)));
+	}
+
+	if (found.count > maxresults) {
+		var more = $(document.createElement("li")).addClass("searchMore");
+		more.append($('<a tabindex="1001"/>')
+			.attr("href", getSearchPageUrl($.trim($("#symbolSearch").val()), 1))
+			.html("&hellip;"+(found.count-maxresults)+" additional results"));
+		$('#symbolSearchResults').append(more);
 	}
 
-	function getPrefixIndex(parts)
-	{
-		for (var i = parts.length-1; i >= 0; i--)
-			for (j in terms)
-				if (parts[i].length >= terms[j].length && parts[i].substr(0, terms[j].length) == terms[j])
-					return parts.length - 1 - i;
-		return parts.length;
+	$('#symbolSearchResults').show();
+	if (selected !== undefined) {
+		var links = $("#symbolSearchResults li > a");
+		var index = links.index(links.filter(function() { return $(this).attr("href") == selected; }).first());
+		if (index >= 0) selectSearchResult(links, index);
 	}
+}
 
-	function compare(a, b) {
-		// prefer non-deprecated matches
-		var adep = a.attributes.indexOf("deprecated") >= 0;
-		var bdep = b.attributes.indexOf("deprecated") >= 0;
-		if (adep != bdep) return adep - bdep;
+var searchPageSize = 50;
 
-		// normalize the names
-		var aname = a.name.toLowerCase();
-		var bname = b.name.toLowerCase();
+/**
+	Renders the complete, paginated list of results on search.html, grouped by
+	the module declaring each symbol.
+*/
+function renderSymbolSearchPage()
+{
+	var container = $("#symbolSearchPage");
+	var searchstring = getUrlParameter("q") || "";
+	var page = parseInt(getUrlParameter("page"), 10) || 1;
+	container.empty();
 
-		var anameparts = aname.split(".");
-		var bnameparts = bname.split(".");
+	var found = findSymbols($.trim(searchstring).toLowerCase());
+	for (var i in found.hints)
+		container.append($(document.createElement("p")).addClass("searchHint").text(found.hints[i]));
+	if (found.results === null || found.results.length == 0) {
+		container.append($(document.createElement("p")).text(searchstring.length > 0 ? "No symbols found." : "Enter a search term."));
+		return;
+	}
 
-		var asname = anameparts[anameparts.length-1];
-		var bsname = bnameparts[bnameparts.length-1];
+	var results = found.results;
+	var pages = Math.ceil(results.length / searchPageSize);
+	page = Math.max(1, Math.min(page, pages));
+	var first = (page - 1) * searchPageSize;
+	var last = Math.min(results.length, first + searchPageSize);
 
-		// prefer exact matches
-		var aexact = terms.indexOf(asname) >= 0;
-		var bexact = terms.indexOf(bsname) >= 0;
-		if (aexact != bexact) return bexact - aexact;
+	container.append($(document.createElement("p")).text(results.length + " results for \u201c" + searchstring + "\u201d"
+		+ (pages > 1 ? ", showing " + (first + 1) + "\u2013" + last : "")));
 
-		// prefer prefix matches
-		var apidx = getPrefixIndex(anameparts);
-		var bpidx = getPrefixIndex(bnameparts);
-		if (apidx != bpidx) return apidx - bpidx;
+	// group the results of the page by module, in the order in which the modules first appear
+	var modules = [];
+	var groups = {};
+	for (var i = first; i < last; i++) {
+		var mod = getSymbolModule(results[i]);
+		if (!groups.hasOwnProperty(mod)) {
+			groups[mod] = [];
+			modules.push(mod);
+		}
+		groups[mod].push(results[i]);
+	}
 
-		// prefer elements with less nesting
-		if (anameparts.length < bnameparts.length) return -1;
-		if (anameparts.length > bnameparts.length) return 1;
+	var byName = getLocalSearchIndex().byName;
+	for (var i in modules) {
+		var modsym = null;
+		for (var name in byName)
+			if (byName[name].kind == "module" && name.toLowerCase() == modules[i]) modsym = byName[name];
 
-		// prefer matches with a shorter name
-		if (asname.length < bsname.length) return -1;
-		if (asname.length > bsname.length) return 1;
+		var heading = $(document.createElement("h2"));
+		if (modsym) heading.append($(document.createElement("a")).attr("href", symbolSearchRootDir + modsym.path).text(modsym.name));
+		else heading.text(modules[i]);
+		container.append(heading);
 
-		// sort the rest alphabetically
-		if (aname < bname) return -1;
-		if (aname > bname) return 1;
-		return 0;
+		var list = $(document.createElement("ul")).addClass("searchResults symbolList");
+		for (var j in groups[modules[i]]) {
+			var sym = groups[modules[i]][j];
+			var positions = [];
+			var offset = sym.kind == "module" ? 0 : modules[i].length + 1;
+			for (var k in sym.positions)
+				if (sym.positions[k] >= offset) positions.push(sym.positions[k] - offset);
+			list.append(createSearchResultItem(sym, highlightMatches(sym.name.substr(offset), positions)));
+		}
+		container.append(list);
 	}
 
-	results.sort(compare);
+	if (pages > 1) {
+		var nav = $(document.createElement("p")).addClass("searchPages");
+		if (page > 1) nav.append($(document.createElement("a")).attr("href", getSearchPageUrl(searchstring, page - 1)).html("&laquo; Previous"), " ");
+		nav.append("Page " + page + " of " + pages);
+		if (page < pages) nav.append(" ", $(document.createElement("a")).attr("href", getSearchPageUrl(searchstring, page + 1)).html("Next &raquo;"));
+		container.append(nav);
+	}
+}
 
-	for (i = 0; i < results.length && i < maxresults; i++) {
-			var sym = results[i];
+/**
+	Registers serviceworker.js, which caches the documentation for reading
+	it offline. Browsers only run service workers for pages served over
+	HTTPS or from localhost.
+*/
+function setupOfflineCache()
+{
+	if (!("serviceWorker" in navigator) || typeof(symbolSearchRootDir) == "undefined") return;
+	navigator.serviceWorker.register(symbolSearchRootDir + "serviceworker.js").catch(function() {});
+}
 
-			var el = $(document.createElement("li"));
-			el.addClass(sym.kind);
-			for (j in sym.attributes)
-				el.addClass(sym.attributes[j]);
+var previewDelay = 300;
+var previewHideDelay = 150;
+var previewTimer = null;
+var previewLink = null;
+var previewPages = {};
+var previewsEnabled = false;
+var symbolsByPath = null;
 
-			var name = sym.name;
+/**
+	Shows a card with the declarations and the summary of a symbol while
+	the mouse is over a link to it in the search results or a member table,
+	or while the link has the focus. The linked pages are fetched, which is
+	only possible for documentation served over HTTP.
+*/
+function setupSymbolPreviews()
+{
+	if (!window.fetch || !/^https?:$/.test(window.location.protocol)) return;
+	previewsEnabled = true;
+	var links = ".symbolList li > a, #main-contents section table a";
+	$(document).on("mouseenter focusin", links, function() { scheduleSymbolPreview(this); });
+	$(document).on("mouseleave focusout", links, hideSymbolPreview);
+	$(window).on("scroll", function() {
+		previewLink = null;
+		$("#symbolPreview").hide();
+	});
+}
 
-			// compute a length limited representation of the full name
-			var nameparts = name.split(".");
-			var np = nameparts.length-1;
-			var shortname = "." + nameparts[np];
-			while (np > 0 && nameparts[np-1].length + shortname.length <= maxlen) {
-				np--;
-				shortname = "." + nameparts[np] + shortname;
-			}
-			if (np > 0) shortname = ".." + shortname;
-			else shortname = shortname.substr(1);
+// Returns the symbol of symbols.js documented at an absolute URL, or null.
+function getSymbolByUrl(url)
+{
+	if (typeof(symbols) == "undefined") return null;
+	if (symbolsByPath === null) {
+		symbolsByPath = {};
+		for (var i in symbols) symbolsByPath[symbols[i].path] = symbols[i];
+	}
+	var root = new URL(symbolSearchRootDir, window.location.href).href;
+	if (url.substr(0, root.length) != root) return null;
+	var path = "./" + url.substr(root.length);
+	return symbolsByPath.hasOwnProperty(path) ? symbolsByPath[path] : null;
+}
 
-			el.append('<a href="'+symbolSearchRootDir+sym.path+'" title="'+name+'" tabindex="1001">'+shortname+'</a>');
-			$('#symbolSearchResults').append(el);
-		}
+function scheduleSymbolPreview(link)
+{
+	var sym = getSymbolByUrl(link.href);
+	if (!sym) return;
+	clearTimeout(previewTimer);
+	previewLink = link;
+	// switch without delay while a card is shown, e.g. when moving along a list
+	var delay = $("#symbolPreview").is(":visible") ? 0 : previewDelay;
+	previewTimer = setTimeout(function() {
+		loadPreviewPage(link.href.replace(/#.*$/, "")).then(function(doc) {
+			if (doc && previewLink == link) showSymbolPreview(link, sym, doc);
+		});
+	}, delay);
+}
 
-	if (results.length > maxresults) {
-		$('#symbolSearchResults').append("<li>&hellip;"+(results.length-100)+" additional results</li>");
+function hideSymbolPreview()
+{
+	clearTimeout(previewTimer);
+	previewLink = null;
+	previewTimer = setTimeout(function() { $("#symbolPreview").hide(); }, previewHideDelay);
+}
+
+// Fetches and parses a page, resolving to null if that fails. Each page is fetched only once.
+function loadPreviewPage(url)
+{
+	if (!previewPages.hasOwnProperty(url)) {
+		previewPages[url] = fetch(url)
+			.then(function(response) { return response.ok ? response.text() : null; })
+			.then(function(html) { return html === null ? null : new DOMParser().parseFromString(html, "text/html"); })
+			.catch(function() { return null; });
 	}
+	return previewPages[url];
+}
 
-	$('#symbolSearchResults').show();
+/**
+	Collects the declarations of a page as {prototype, summary}, with the
+	prototype element (or null) and the text of the first paragraph. Pages
+	with multiple declarations, such as overloads, have one per declaration,
+	unless the anchor selects one of them. Enum members only have a summary.
+*/
+function getPreviewDeclarations(doc, anchor)
+{
+	var main = $(doc).find("#main-contents");
+	var target = anchor.length > 0 ? main.find('[id="' + anchor + '"]') : $();
+	if (target.is("td"))
+		return [{prototype: null, summary: $.trim(target.next("td").text())}];
+
+	var ret = [];
+	(target.is("h2") ? target : main.children("h1, h2[id]")).each(function() {
+		var parts = $(this).nextUntil("h1, h2");
+		var prototype = parts.filter(".prototype").find(".single-prototype");
+		var summary = $.trim(parts.filter("p").first().text()).replace(/\s+/g, " ");
+		if (prototype.length > 0 || summary.length > 0)
+			ret.push({prototype: prototype.length > 0 ? prototype[0] : null, summary: summary});
+	});
+	return ret;
+}
+
+// Returns an attribute of symbols.js as written in D, e.g. "@safe" for "safe".
+function formatSymbolAttribute(attr)
+{
+	return /^(safe|trusted|system|nogc|property|live)$/.test(attr) ? "@" + attr : attr;
+}
+
+var previewMaxDeclarations = 6;
+
+function showSymbolPreview(link, sym, doc)
+{
+	var card = $("#symbolPreview");
+	if (card.length == 0) card = $('<div id="symbolPreview" role="tooltip"/>').appendTo("body");
+	card.empty();
+
+	var title = $('<div class="previewTitle"/>').append($("<code/>").text(sym.name), " ",
+		$('<span class="tableEntryAnnotation"/>').text(sym.kind.replace(/declaration$/, "")));
+	for (var i in sym.attributes)
+		title.append(" ", $('<span class="previewAttribute"/>').text(formatSymbolAttribute(sym.attributes[i])));
+	card.append(title);
+
+	var declarations = getPreviewDeclarations(doc, link.hash.substr(1));
+	declarations.slice(0, previewMaxDeclarations).forEach(function(decl) {
+		var el = $('<div class="previewDeclaration"/>');
+		if (decl.prototype) el.append($('<code class="lang-d"/>').append(document.importNode(decl.prototype, true)));
+		if (decl.summary.length > 0) el.append($(document.createElement("p")).text(decl.summary));
+		card.append(el);
+	});
+	if (declarations.length > previewMaxDeclarations)
+		card.append($('<p class="tableEntryAnnotation"/>').text("\u2026 and " + (declarations.length - previewMaxDeclarations) + " more declarations"));
+
+	// next to the search results, which would be covered otherwise, and below other links
+	var offset = $(link).offset();
+	var results = $(link).closest("#symbolSearchResults");
+	var left = offset.left, top = offset.top + $(link).outerHeight() + 4;
+	if (results.length > 0) {
+		left = results.offset().left + results.outerWidth() + 8;
+		top = offset.top;
+	}
+	card.show();
+	left = Math.max(0, Math.min(left, $(window).scrollLeft() + $(window).width() - card.outerWidth() - 10));
+	card.css({left: left, top: top});
+}
+
+// The attributes offered by the member filter first, if any member has them.
+var memberFilterAttributes = ["abstract", "override", "const", "safe", "static"];
+
+/**
+	Adds a filter bar above the member tables of class, struct, enum and
+	module pages, which hides the members that do not contain the entered
+	text or lack one of the selected attributes, and an outline of the
+	sections that follows the scroll position.
+*/
+function setupMemberFilter()
+{
+	var main = $("#main-contents");
+	if (!/^(Class|Interface|Struct|Union|Enum|Template|Module) /.test(main.children("h1").text())) return;
+
+	// member tables list symbols, unlike e.g. the tables of template parameters
+	var attributes = [];
+	main.children("section").children("table").each(function() {
+		var rows = $(this).find("tr").has("td");
+		var syms = [];
+		rows.each(function() { syms.push(getMemberRowSymbol(this)); });
+		if (syms.filter(function(sym) { return sym !== null; }).length == 0) return;
+		$(this).addClass("memberTable");
+		rows.each(function(i) {
+			var attrs = syms[i] ? syms[i].attributes : [];
+			$(this).attr("data-attributes", attrs.join(" "));
+			for (var j in attrs)
+				if (attributes.indexOf(attrs[j]) < 0) attributes.push(attrs[j]);
+		});
+	});
+	var tables = main.find("table.memberTable");
+	if (tables.length == 0) return;
+	attributes.sort(function(a, b) {
+		var ai = memberFilterAttributes.indexOf(a), bi = memberFilterAttributes.indexOf(b);
+		if (ai != bi) return ai < 0 ? 1 : bi < 0 ? -1 : ai - bi;
+		return a < b ? -1 : a > b ? 1 : 0;
+	});
+
+	var bar = $('<form id="memberFilter" action="#"/>');
+	bar.append('<input id="memberFilterText" type="text" placeholder="Filter members" autocomplete="off"/>');
+	for (var i in attributes)
+		bar.append(" ", $(document.createElement("label")).append($('<input type="checkbox"/>').attr("value", attributes[i]),
+			" " + formatSymbolAttribute(attributes[i])));
+	bar.append(' <span id="memberFilterStatus" class="tableEntryAnnotation"></span>');
+	bar.submit(function() { return false; });
+	bar.on("input change", filterMembers);
+	tables.first().closest("section").before(bar);
+	$("#memberFilterText").keydown(function(e) {
+		if (e.key != "Escape" && e.key != "Esc") return;
+		$(this).val("");
+		filterMembers();
+	});
+
+	setupPageOutline();
+}
+
+// Returns the symbol of a row of a member table, which either links to the member or, for enum members, is its anchor.
+function getMemberRowSymbol(row)
+{
+	var cell = $(row).children("td").first();
+	var link = cell.find("a[href]");
+	if (link.length > 0) return getSymbolByUrl(link[0].href);
+	if (cell.attr("id")) return getSymbolByUrl(window.location.href.replace(/#.*$/, "") + "#" + cell.attr("id"));
+	return null;
+}
+
+function filterMembers()
+{
+	var text = $.trim($("#memberFilterText").val()).toLowerCase();
+	var attributes = $("#memberFilter input:checked").map(function() { return this.value; }).get();
+	var active = text.length > 0 || attributes.length > 0;
+	var total = 0, shown = 0;
+
+	$("#main-contents table.memberTable").each(function() {
+		var rows = $(this).find("tr").has("td");
+		var visible = 0;
+		rows.each(function() {
+			var attrs = $(this).attr("data-attributes").split(" ");
+			var match = $(this).text().toLowerCase().indexOf(text) >= 0
+				&& attributes.every(function(attr) { return attrs.indexOf(attr) >= 0; });
+			$(this).toggle(match);
+			if (match) visible++;
+		});
+		var section = $(this).closest("section");
+		section.toggle(visible > 0 || !active);
+		$('#pageOutline a[href="#' + section.attr("id") + '"] .outlineCount')
+			.text(active ? " (" + visible + "/" + rows.length + ")" : " (" + rows.length + ")");
+		total += rows.length;
+		shown += visible;
+	});
+
+	$("#memberFilterStatus").text(active ? shown + " of " + total + " members" : "");
+	updatePageOutline();
+}
+
+/**
+	Adds the outline of the sections next to the contents. The sections get
+	an id derived from their heading, e.g. "section-methods", and the ones
+	with member tables show the number of members.
+*/
+function setupPageOutline()
+{
+	var list = $(document.createElement("ul"));
+	$("#main-contents > section").each(function() {
+		var heading = $(this).children("h2").first();
+		if (heading.length == 0) return;
+		var section = $(this);
+		if (!section.attr("id")) section.attr("id", "section-" + heading.text().toLowerCase().replace(/[^a-z0-9]+/g, "-"));
+		var link = $(document.createElement("a")).attr("href", "#" + section.attr("id")).text(heading.text());
+		var rows = section.children("table.memberTable").find("tr").has("td");
+		if (rows.length > 0) link.append($('<span class="outlineCount"/>').text(" (" + rows.length + ")"));
+		list.append($(document.createElement("li")).append(link));
+	});
+	if (list.children().length == 0) return;
+
+	$('<nav id="pageOutline"/>').append(list).appendTo("body");
+	$(window).on("scroll resize", updatePageOutline);
+	updatePageOutline();
+}
+
+// Highlights the last section of the outline whose start has been scrolled past.
+function updatePageOutline()
+{
+	var current = null;
+	$("#pageOutline a").each(function() {
+		var section = document.getElementById(this.getAttribute("href").substr(1));
+		if (section && $(section).css("display") != "none" && section.getBoundingClientRect().top <= 40) current = this;
+	});
+	$("#pageOutline a.current").removeClass("current");
+	if (current) $(current).addClass("current");
 }
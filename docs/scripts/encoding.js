@@ -0,0 +1,116 @@
+/**
+	Shows the Avro binary encoding of a datum as annotated hex on the encoding
+	page, and decodes hex back into a datum. The codecs are in avrocodec.js.
+*/
+
+function setupEncodingPage()
+{
+	$("#encodingForm").submit(function() { encodeVisualizerDatum(); return false; });
+	$("#decodingForm").submit(function() { decodeVisualizerHex(); return false; });
+	$("#encodingResult").on("mouseenter", "[data-segment]", function() {
+		highlightEncodingSegment($(this).attr("data-segment"));
+	});
+	$("#encodingResult").on("mouseleave", "[data-segment]", function() {
+		highlightEncodingSegment(null);
+	});
+	encodeVisualizerDatum();
+}
+
+function encodeVisualizerDatum()
+{
+	var encoder = createBinaryEncoder();
+	try {
+		var schema = parseAvroSchema($("#encodingSchema").val());
+		var datum = readAvroDatum(createJsonDecoder($("#encodingDatum").val()), schema, "");
+		writeAvroDatum(datum, encoder, "");
+	} catch (e) {
+		showEncodingError(e, [], []);
+		return;
+	}
+	var json = createJsonEncoder();
+	writeAvroDatum(datum, json, "");
+	$("#encodingHexInput").val(formatHexBytes(encoder.bytes));
+	$("#encodingStatus").attr("class", "schemaValid").text("Encoded " + formatByteCount(encoder.bytes.length) + ".");
+	renderEncoding(encoder.bytes, encoder.segments, json.text);
+}
+
+function decodeVisualizerHex()
+{
+	var decoder = null;
+	try {
+		var schema = parseAvroSchema($("#encodingSchema").val());
+		decoder = createBinaryDecoder(parseHexBytes($("#encodingHexInput").val()));
+		var datum = readAvroDatum(decoder, schema, "");
+	} catch (e) {
+		showEncodingError(e, decoder ? decoder.bytes : [], decoder ? decoder.segments : []);
+		return;
+	}
+	var json = createJsonEncoder();
+	writeAvroDatum(datum, json, "");
+	var status = "Decoded " + formatByteCount(decoder.pos) + ".";
+	if (decoder.pos < decoder.bytes.length) status += " The datum is followed by " + formatByteCount(decoder.bytes.length - decoder.pos) + " that were not read.";
+	$("#encodingStatus").attr("class", "schemaValid").text(status);
+	renderEncoding(decoder.bytes, decoder.segments, json.text);
+}
+
+function formatByteCount(count)
+{
+	return count + (count == 1 ? " byte" : " bytes");
+}
+
+// Shows an error, together with the bytes that were decoded before it occurred.
+function showEncodingError(e, bytes, segments)
+{
+	$("#encodingStatus").attr("class", "schemaInvalid").text(e.name + ": " + e.message);
+	renderEncoding(bytes, segments, "");
+}
+
+// Parses bytes written as hex, ignoring whitespace, commas and "0x" prefixes.
+function parseHexBytes(text)
+{
+	var hex = text.replace(/0x/gi, "").replace(/[\s,]/g, "");
+	if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+		var bad = /^(?:[0-9a-fA-F]{2})*([\s\S]{1,2})/.exec(hex)[1];
+		throw createSchemaError("Exception", "Invalid hex byte: " + bad);
+	}
+	var ret = [];
+	for (var i = 0; i < hex.length; i += 2) ret.push(parseInt(hex.substr(i, 2), 16));
+	return ret;
+}
+
+/**
+	Renders the bytes with one span per segment, followed by a table that
+	explains each segment, and the JSON encoding of the datum. Bytes not
+	covered by a segment are marked as unread.
+*/
+function renderEncoding(bytes, segments, jsonText)
+{
+	var hex = $("#encodingHex").empty();
+	var table = $("#encodingSegments").empty();
+	table.append("<tr><th>Offset</th><th>Bytes</th><th>Part of the datum</th><th>Encodes</th></tr>");
+
+	var pos = 0;
+	segments.forEach(function(segment, i) {
+		var data = bytes.slice(segment.start, segment.end);
+		if (data.length > 0)
+			hex.append($('<span class="encodingSegment"/>').addClass(segment.kind).attr("data-segment", i).text(formatHexBytes(data))).append(" ");
+		pos = Math.max(pos, segment.end);
+
+		var row = $(document.createElement("tr")).addClass(segment.kind).attr("data-segment", i);
+		row.append($(document.createElement("td")).text(segment.start));
+		row.append($("<td><code/></td>").children().text(formatHexBytes(data)).end());
+		row.append($(document.createElement("td")).text(segment.path || "(datum)"));
+		row.append($(document.createElement("td")).text(segment.text));
+		table.append(row);
+	});
+	if (pos < bytes.length)
+		hex.append($('<span class="encodingSegment unread"/>').text(formatHexBytes(bytes.slice(pos))));
+
+	$("#encodingJson").text(jsonText);
+}
+
+function highlightEncodingSegment(index)
+{
+	$("#encodingResult .highlighted").removeClass("highlighted");
+	if (index !== null) $('#encodingResult [data-segment="' + index + '"]').addClass("highlighted");
+}
@@ -0,0 +1,291 @@
+/**
+	Renders the class hierarchy page from the index in classhierarchy.js, which
+	is generated by tools/build-hierarchy.js.
+*/
+
+var hierarchyClasses = {};
+var selectedHierarchyClass = null;
+
+function setupHierarchyPage()
+{
+	if (typeof(classHierarchy) == "undefined") {
+		$("#hierarchyGraph").text("The class hierarchy index (classhierarchy.js) is missing.");
+		return;
+	}
+
+	for (var i in classHierarchy) {
+		var cls = classHierarchy[i];
+		hierarchyClasses[cls.name] = {name: cls.name, path: cls.path, bases: cls.bases, methods: cls.methods, derived: []};
+	}
+	// add the bases that are not part of the index, such as object.Exception
+	for (var name in hierarchyClasses) {
+		var cls = hierarchyClasses[name];
+		for (var i in cls.bases) {
+			if (!hierarchyClasses.hasOwnProperty(cls.bases[i]))
+				hierarchyClasses[cls.bases[i]] = {name: cls.bases[i], path: null, bases: [], methods: [], derived: []};
+			hierarchyClasses[cls.bases[i]].derived.push(name);
+		}
+	}
+
+	var packages = [];
+	for (var name in hierarchyClasses) {
+		var pack = getClassPackage(name);
+		if (hierarchyClasses[name].path && packages.indexOf(pack) < 0) packages.push(pack);
+	}
+	packages.sort();
+	var select = $("#hierarchyPackage");
+	for (var i in packages)
+		select.append($(document.createElement("option")).attr("value", packages[i]).text(packages[i]));
+	select.change(renderHierarchy);
+
+	renderHierarchy();
+}
+
+// Returns the package of a class, e.g. "avro.codec" for "avro.codec.decoder.Decoder".
+function getClassPackage(name)
+{
+	var parts = name.split(".");
+	return parts.slice(0, Math.max(1, parts.length - 2)).join(".");
+}
+
+function getShortClassName(name)
+{
+	return name.substr(name.lastIndexOf(".") + 1);
+}
+
+function getAllDerivedClasses(name)
+{
+	var ret = [];
+	var derived = hierarchyClasses[name].derived;
+	for (var i in derived) {
+		ret.push(derived[i]);
+		ret = ret.concat(getAllDerivedClasses(derived[i]));
+	}
+	return ret;
+}
+
+function getAllBaseClasses(name)
+{
+	var ret = [];
+	var bases = hierarchyClasses[name].bases;
+	for (var i in bases) {
+		ret.push(bases[i]);
+		ret = ret.concat(getAllBaseClasses(bases[i]));
+	}
+	return ret;
+}
+
+// Returns the classes of the selected package that take part in an inheritance relation.
+function getVisibleClasses()
+{
+	var pack = $("#hierarchyPackage").val();
+	var ret = [];
+	for (var name in hierarchyClasses) {
+		var cls = hierarchyClasses[name];
+		if (cls.bases.length == 0 && cls.derived.length == 0) continue;
+		if (pack && cls.path && getClassPackage(name) != pack) continue;
+		// external bases are shown if any of their derived classes is
+		if (!cls.path && pack && getAllDerivedClasses(name).filter(function(d) { return getClassPackage(d) == pack; }).length == 0) continue;
+		ret.push(name);
+	}
+	return ret;
+}
+
+function renderHierarchy()
+{
+	var visible = getVisibleClasses();
+	$("#hierarchyGraph").html(renderHierarchyGraph(visible));
+	$("#hierarchyGraph g.classNode")
+		.hover(function() { highlightHierarchyClass($(this).attr("data-class")); },
+			function() { highlightHierarchyClass(selectedHierarchyClass); })
+		.click(function() { selectHierarchyClass($(this).attr("data-class")); });
+
+	var matrices = $("#hierarchyMatrices");
+	matrices.empty();
+	for (var i in visible) {
+		var cls = hierarchyClasses[visible[i]];
+		if (cls.path && cls.derived.length > 0) matrices.append(renderOverrideMatrix(cls));
+	}
+	highlightHierarchyClass(selectedHierarchyClass);
+}
+
+var hierarchyRowHeight = 32;
+var hierarchyColumnWidth = 260;
+
+/**
+	Lays out the inheritance forest from left (base classes) to right (derived
+	classes) and returns it as SVG markup. Leaves are stacked vertically and
+	each base class is centered next to its derived classes.
+*/
+function renderHierarchyGraph(visible)
+{
+	var positions = {};
+	var nextRow = 0;
+	var maxDepth = 0;
+
+	function place(name, depth)
+	{
+		if (positions.hasOwnProperty(name)) return positions[name].y;
+		var children = hierarchyClasses[name].derived.filter(function(d) { return visible.indexOf(d) >= 0; }).sort();
+		var y;
+		if (children.length == 0) {
+			y = nextRow++ * hierarchyRowHeight;
+		} else {
+			var first = null, last = null;
+			for (var i in children) {
+				var cy = place(children[i], depth + 1);
+				if (first === null) first = cy;
+				last = cy;
+			}
+			y = (first + last) / 2;
+		}
+		positions[name] = {x: depth * hierarchyColumnWidth, y: y};
+		maxDepth = Math.max(maxDepth, depth);
+		return y;
+	}
+
+	var roots = visible.filter(function(name) {
+		return hierarchyClasses[name].bases.filter(function(b) { return visible.indexOf(b) >= 0; }).length == 0;
+	}).sort();
+	for (var i in roots) {
+		place(roots[i], 0);
+		nextRow += 0.5; // separate the trees
+	}
+
+	var width = (maxDepth + 1) * hierarchyColumnWidth;
+	var height = Math.ceil(nextRow) * hierarchyRowHeight + 10;
+	var boxWidth = hierarchyColumnWidth - 50, boxHeight = 22;
+
+	var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '">';
+	svg += '<defs><marker id="generalization" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="10" markerHeight="10" orient="auto">'
+		+ '<path d="M 0 0 L 10 5 L 0 10 z" fill="white" stroke="#555"/></marker></defs>';
+
+	for (var name in positions) {
+		var bases = hierarchyClasses[name].bases;
+		for (var i in bases) {
+			if (!positions.hasOwnProperty(bases[i])) continue;
+			var from = positions[name], to = positions[bases[i]];
+			var x1 = from.x, y1 = from.y + 5 + boxHeight / 2;
+			var x2 = to.x + boxWidth, y2 = to.y + 5 + boxHeight / 2;
+			var mx = (x1 + x2) / 2;
+			svg += '<path class="classEdge" data-from="' + name + '" data-to="' + bases[i] + '" d="M ' + x1 + ' ' + y1
+				+ ' C ' + mx + ' ' + y1 + ', ' + mx + ' ' + y2 + ', ' + x2 + ' ' + y2 + '" marker-end="url(#generalization)"/>';
+		}
+	}
+
+	for (var name in positions) {
+		var cls = hierarchyClasses[name];
+		var isAbstract = cls.methods.filter(function(m) { return m.attributes.indexOf("abstract") >= 0; }).length > 0;
+		svg += '<g class="classNode' + (cls.path ? '' : ' external') + (isAbstract ? ' abstract' : '') + '" data-class="' + name + '"'
+			+ ' transform="translate(' + positions[name].x + ',' + (positions[name].y + 5) + ')">'
+			+ '<title>' + name + '</title>'
+			+ '<rect width="' + boxWidth + '" height="' + boxHeight + '" rx="3"/>'
+			+ '<text x="8" y="15">' + getShortClassName(name) + '</text></g>';
+	}
+	return svg + '</svg>';
+}
+
+// Highlights a class together with its base and derived classes, in the graph and in the matrices.
+function highlightHierarchyClass(name)
+{
+	var related = name ? [name].concat(getAllBaseClasses(name), getAllDerivedClasses(name)) : [];
+	$("#hierarchyGraph g.classNode").each(function() {
+		var cls = $(this).attr("data-class");
+		$(this).attr("class", $(this).attr("class").replace(/ (selected|related|dimmed)/g, "")
+			+ (cls == name ? " selected" : related.indexOf(cls) >= 0 ? " related" : name ? " dimmed" : ""));
+	});
+	$("#hierarchyGraph path.classEdge").each(function() {
+		var active = related.indexOf($(this).attr("data-from")) >= 0 && related.indexOf($(this).attr("data-to")) >= 0;
+		$(this).attr("class", "classEdge" + (active ? " related" : ""));
+	});
+	$("#hierarchyMatrices .selected").removeClass("selected");
+	if (name) $('#hierarchyMatrices [data-class="' + name + '"]').addClass("selected");
+}
+
+function selectHierarchyClass(name)
+{
+	selectedHierarchyClass = selectedHierarchyClass == name ? null : name;
+	highlightHierarchyClass(selectedHierarchyClass);
+
+	var details = $("#hierarchyDetails");
+	details.empty();
+	if (!selectedHierarchyClass) return;
+
+	var cls = hierarchyClasses[name];
+	var title = $(document.createElement("p"));
+	if (cls.path) title.append($(document.createElement("a")).attr("href", symbolSearchRootDir + cls.path).text(name));
+	else title.text(name);
+	var bases = getAllBaseClasses(name);
+	if (bases.length > 0) title.append(" \u2013 derived from " + bases.map(getShortClassName).join(", "));
+	details.append(title);
+
+	var matrix = $('#hierarchyMatrices table[data-class="' + name + '"]');
+	if (matrix.length == 0) matrix = $('#hierarchyMatrices th[data-class="' + name + '"]').closest("table");
+	if (matrix.length > 0) matrix[0].scrollIntoView({block: "nearest"});
+}
+
+/**
+	Creates a table with a row for each method of a base class and a column
+	for each class derived from it, showing whether the derived class (or an
+	intermediate class) overrides the method or inherits it. Abstract methods
+	that are not overridden are marked as missing.
+*/
+function renderOverrideMatrix(base)
+{
+	var methods = base.methods.filter(function(m) { return m.name != "this" && m.name != "~this"; });
+	methods.sort(function(a, b) {
+		var aabs = a.attributes.indexOf("abstract") >= 0, babs = b.attributes.indexOf("abstract") >= 0;
+		if (aabs != babs) return babs - aabs;
+		return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+	});
+	var derived = getAllDerivedClasses(base.name);
+
+	var section = $(document.createElement("section"));
+	var heading = $(document.createElement("h2"));
+	heading.append($(document.createElement("a")).attr("href", symbolSearchRootDir + base.path).text(getShortClassName(base.name)));
+	heading.append(' <span class="tableEntryAnnotation">' + base.name + '</span>');
+	section.append(heading);
+
+	if (methods.length == 0) {
+		section.append("<p>No methods that could be overridden.</p>");
+		return section;
+	}
+
+	var table = $('<table class="overrideMatrix"/>').attr("data-class", base.name);
+	var header = $("<tr><th>Method</th></tr>");
+	for (var i in derived) {
+		var th = $(document.createElement("th")).attr("data-class", derived[i]);
+		var cls = hierarchyClasses[derived[i]];
+		if (cls.path) th.append($(document.createElement("a")).attr("href", symbolSearchRootDir + cls.path).text(getShortClassName(derived[i])));
+		else th.text(getShortClassName(derived[i]));
+		header.append(th);
+	}
+	table.append(header);
+
+	for (var i in methods) {
+		var isAbstract = methods[i].attributes.indexOf("abstract") >= 0;
+		var row = $(document.createElement("tr"));
+		row.append($(document.createElement("td")).append($("<code/>").text(methods[i].name))
+			.append(isAbstract ? ' <span class="tableEntryAnnotation">abstract</span>' : ""));
+		for (var j in derived) {
+			var state = getOverrideState(base.name, derived[j], methods[i].name);
+			if (state == "inherited" && isAbstract) state = "missing";
+			row.append($(document.createElement("td")).addClass(state).attr("data-class", derived[j]).text(state));
+		}
+		table.append(row);
+	}
+	section.append(table);
+	return section;
+}
+
+// Returns "override" if the derived class or one of its bases below base declares the method, otherwise "inherited".
+function getOverrideState(base, derived, method)
+{
+	var chain = [derived].concat(getAllBaseClasses(derived));
+	for (var i = 0; i < chain.length && chain[i] != base; i++) {
+		var cls = hierarchyClasses[chain[i]];
+		for (var j in cls.methods)
+			if (cls.methods[j].name == method) return "override";
+	}
+	return "inherited";
+}
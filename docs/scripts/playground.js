@@ -0,0 +1,131 @@
+/**
+	Validates the schema entered on the schema playground page with the parser
+	of schemaparser.js and renders the resolved schema as a collapsible tree.
+*/
+
+function setupPlaygroundPage()
+{
+	$("#schemaPlayground").submit(function() { validatePlaygroundSchema(); return false; });
+	$("#schemaText").on("input", validatePlaygroundSchema);
+	$("#schemaTree").on("click", ".schemaToggle", function() {
+		$(this).closest("li").toggleClass("collapsed");
+	});
+	$("#schemaTree").on("click", "a.schemaRef", function() {
+		showSchemaDefinition($(this).attr("href").substr(1));
+		return false;
+	});
+	validatePlaygroundSchema();
+}
+
+function validatePlaygroundSchema()
+{
+	var status = $("#schemaStatus");
+	var tree = $("#schemaTree");
+	var schema;
+	try {
+		schema = parseAvroSchema($("#schemaText").val());
+	} catch (e) {
+		status.attr("class", "schemaInvalid").text(e.name + ": " + e.message);
+		tree.empty();
+		return;
+	}
+	status.attr("class", "schemaValid").text("The schema is valid.");
+	tree.empty().append($('<ul class="schemaTree"/>').append(createSchemaTreeNode(schema, [], null)));
+}
+
+function getSchemaAnchor(schema)
+{
+	return "schema-" + schema.fullname;
+}
+
+/**
+	Creates the list item of a schema. Named types are defined at their first
+	occurrence, later occurrences link to the definition. The label, such as
+	a field name, is shown in front of the type.
+*/
+function createSchemaTreeNode(schema, defined, label)
+{
+	var li = $(document.createElement("li"));
+	var node = $('<div class="schemaNode"/>');
+	li.append(node);
+	if (label !== null) node.append(label).append(" ");
+
+	var isNamed = schema.hasOwnProperty("fullname") && schema.fullname !== null;
+	if (isNamed && defined.indexOf(schema) >= 0) {
+		node.append($('<a class="schemaRef"/>').attr("href", "#" + getSchemaAnchor(schema)).text(schema.fullname));
+		return li;
+	}
+	if (isNamed) {
+		defined.push(schema);
+		li.attr("id", getSchemaAnchor(schema));
+	}
+
+	node.append($('<span class="schemaType"/>').text(schema.isError ? "error" : schema.type));
+	if (isNamed) node.append(" ").append($("<code/>").text(schema.name))
+		.append(schema.namespace !== null ? $('<span class="tableEntryAnnotation"/>').text(" " + schema.fullname) : "");
+	if (schema.type == "fixed") node.append(" of " + schema.size + " bytes");
+	appendSchemaDetails(node, schema.aliases || [], schema.attributes);
+	if (schema.doc) node.append($('<div class="schemaDoc"/>').text(schema.doc));
+
+	var children = [];
+	switch (schema.type) {
+		case "record":
+			schema.fields.forEach(function(f) {
+				var name = $("<code/>").text(f.name);
+				var field = createSchemaTreeNode(f.type, defined, name);
+				var details = field.children(".schemaNode");
+				if (f.defaultValue !== null) details.append(" ", $('<span class="schemaDetail"/>').text("default " + JSON.stringify(f.defaultValue)));
+				if (f.order != "ASCENDING") details.append(' <span class="schemaDetail">order ' + f.order.toLowerCase() + '</span>');
+				appendSchemaDetails(details, f.aliases, f.attributes);
+				if (f.doc) details.append($('<div class="schemaDoc"/>').text(f.doc));
+				children.push(field);
+			});
+			break;
+		case "enum":
+			schema.symbols.forEach(function(s) {
+				var symbol = $(document.createElement("li")).append($('<div class="schemaNode"/>').append($("<code/>").text(s)));
+				if (s === schema.enumDefault) symbol.children().append(' <span class="schemaDetail">default</span>');
+				children.push(symbol);
+			});
+			break;
+		case "array":
+			children.push(createSchemaTreeNode(schema.items, defined, "items"));
+			break;
+		case "map":
+			children.push(createSchemaTreeNode(schema.values, defined, "values"));
+			break;
+		case "union":
+			schema.types.forEach(function(t, i) {
+				children.push(createSchemaTreeNode(t, defined, $('<span class="schemaDetail"/>').text(i + ":")));
+			});
+			break;
+	}
+
+	if (children.length > 0) {
+		node.prepend('<span class="schemaToggle"></span>');
+		li.append($(document.createElement("ul")).append(children));
+	}
+	return li;
+}
+
+function appendSchemaDetails(node, aliases, attributes)
+{
+	if (aliases.length > 0)
+		node.append($('<span class="schemaDetail"/>').text(" aliases " + aliases.join(", ")));
+	for (var key in attributes)
+		node.append($('<span class="schemaDetail"/>').text(" " + key + "=" + JSON.stringify(attributes[key])));
+}
+
+// Expands the tree down to the definition of a named type and highlights it.
+function showSchemaDefinition(anchor)
+{
+	var target = document.getElementById(anchor);
+	if (!target) return;
+	$(target).parents("li").addBack().removeClass("collapsed");
+	$("#schemaTree .highlighted").removeClass("highlighted");
+	$(target).children(".schemaNode").addClass("highlighted");
+	target.scrollIntoView({block: "nearest"});
+	try {
+		history.replaceState(null, "", "#" + anchor);
+	} catch (e) {}
+}
@@ -0,0 +1,489 @@
+/**
+	A port of the schema parser of the avro.parser module, used by the schema
+	playground. It enforces the same rules as the D parser and reports the same
+	messages, with the name of the exception class that the D parser throws.
+
+	Parsed schemas are plain objects with a "type" member. Named schemas
+	(record, error, enum and fixed) also have "name", "namespace" and
+	"fullname" members, and every reference to a named type is the same object
+	as its definition, just like in the D Schema graph.
+*/
+
+var avroPrimitiveTypes = ["null", "boolean", "int", "long", "float", "double", "bytes", "string"];
+var avroReservedAttributes = ["doc", "fields", "items", "name", "namespace", "size", "symbols", "values", "type", "aliases", "default"];
+var avroFieldOrders = ["ASCENDING", "DESCENDING", "IGNORE"];
+
+function createSchemaError(exception, message)
+{
+	var e = new Error(message);
+	e.name = exception;
+	return e;
+}
+
+/**
+	Parses JSON text like JSON.parse, but keeps floating point literals with an
+	integral value, such as 1.0, apart from integers by returning them as
+	Number objects. The D parser distinguishes the two when checking defaults.
+*/
+function parseSchemaJson(text)
+{
+	var pos = 0;
+
+	function fail(msg)
+	{
+		var lines = text.substr(0, pos).split("\n");
+		throw createSchemaError("JSONException", msg + " (Line " + lines.length + ":" + (lines[lines.length - 1].length + 1) + ")");
+	}
+
+	function skipWhitespace()
+	{
+		while (pos < text.length && " \t\r\n".indexOf(text.charAt(pos)) >= 0) pos++;
+	}
+
+	function expect(str)
+	{
+		if (text.substr(pos, str.length) != str) fail("Expected '" + str + "'.");
+		pos += str.length;
+	}
+
+	function parseValue()
+	{
+		skipWhitespace();
+		if (pos >= text.length) fail("Unexpected end of data.");
+		var c = text.charAt(pos);
+		if (c == "{") {
+			var obj = {};
+			pos++;
+			skipWhitespace();
+			if (text.charAt(pos) == "}") { pos++; return obj; }
+			while (true) {
+				skipWhitespace();
+				if (text.charAt(pos) != "\"") fail("Expected a string key.");
+				var key = parseValue();
+				skipWhitespace();
+				expect(":");
+				obj[key] = parseValue();
+				skipWhitespace();
+				if (text.charAt(pos) == "}") { pos++; return obj; }
+				expect(",");
+			}
+		}
+		if (c == "[") {
+			var arr = [];
+			pos++;
+			skipWhitespace();
+			if (text.charAt(pos) == "]") { pos++; return arr; }
+			while (true) {
+				arr.push(parseValue());
+				skipWhitespace();
+				if (text.charAt(pos) == "]") { pos++; return arr; }
+				expect(",");
+			}
+		}
+		if (c == "\"") {
+			var m = /^"(?:[^"\\\u0000-\u001f]|\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4}))*"/.exec(text.substr(pos));
+			if (!m) fail("Invalid string literal.");
+			pos += m[0].length;
+			return JSON.parse(m[0]);
+		}
+		var m = /^-?(?:0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.substr(pos));
+		if (m) {
+			pos += m[0].length;
+			var value = Number(m[0]);
+			return (m[1] || m[2]) && Math.floor(value) == value ? new Number(value) : value;
+		}
+		if (text.substr(pos, 4) == "true") { pos += 4; return true; }
+		if (text.substr(pos, 5) == "false") { pos += 5; return false; }
+		if (text.substr(pos, 4) == "null") { pos += 4; return null; }
+		fail("Unexpected character '" + c + "'.");
+	}
+
+	var ret = parseValue();
+	skipWhitespace();
+	if (pos < text.length) fail("Trailing non-whitespace characters.");
+	return ret;
+}
+
+function isJsonObject(value)
+{
+	return value !== null && typeof(value) == "object" && !Array.isArray(value) && !(value instanceof Number);
+}
+
+function isJsonInteger(value)
+{
+	return typeof(value) == "number" && Math.floor(value) == value;
+}
+
+function isJsonFloat(value)
+{
+	return value instanceof Number || (typeof(value) == "number" && Math.floor(value) != value);
+}
+
+// Returns the string value of a JSON node, like JSONValue.str.
+function getJsonString(value)
+{
+	if (typeof(value) != "string") throw createSchemaError("JSONException", "JSONValue is not a string");
+	return value;
+}
+
+// Validates the name of a schema, a field or an enum symbol, see Name.validateName.
+function validateSchemaName(name)
+{
+	if (name === null || name === undefined) throw createSchemaError("SchemaParseException", "Null name");
+	if (name.length == 0) throw createSchemaError("SchemaParseException", "Empty name");
+	if (!/^[A-Za-z_]/.test(name)) throw createSchemaError("SchemaParseException", "Illegal initial character: " + name);
+	if (!/^.[A-Za-z0-9_]*$/.test(name)) throw createSchemaError("SchemaParseException", "Illegal character in: " + name);
+	return name;
+}
+
+// Splits a possibly qualified name, like the constructor of Name. An empty name makes an anonymous schema.
+function createSchemaName(name, namespace)
+{
+	if (!name) return {name: null, namespace: null, fullname: null};
+	var lastDot = name.lastIndexOf(".");
+	if (lastDot < 0) {
+		validateSchemaName(name);
+	} else {
+		namespace = name.substr(0, lastDot);
+		name = validateSchemaName(name.substr(lastDot + 1));
+	}
+	if (!namespace) namespace = null;
+	return {name: name, namespace: namespace, fullname: namespace === null ? name : namespace + "." + name};
+}
+
+// Returns the full name of a named schema, or the type name for any other schema.
+function getSchemaFullname(schema)
+{
+	return schema.hasOwnProperty("fullname") ? schema.fullname : schema.type;
+}
+
+/**
+	Creates a table of the named types known to a parser, see
+	avro.schematable. Primitive type names always resolve to a new primitive
+	schema.
+*/
+function createSchemaTable()
+{
+	return {
+		schemaByName: {},
+		defaultNamespace: null,
+		getSchemaByName: function(name) {
+			if (avroPrimitiveTypes.indexOf(name) >= 0) return {type: name, attributes: {}};
+			var fullname = createSchemaName(name, this.defaultNamespace).fullname;
+			return this.schemaByName.hasOwnProperty(fullname) ? this.schemaByName[fullname] : null;
+		},
+		addSchema: function(schema) {
+			this.schemaByName[getSchemaFullname(schema)] = schema;
+		}
+	};
+}
+
+/**
+	Parses the text of a schema and returns the resolved schema. Throws an
+	Error named after the D exception class if the schema is invalid.
+*/
+function parseAvroSchema(text, table)
+{
+	return parseAvroSchemaJson(parseSchemaJson(text), table || createSchemaTable());
+}
+
+function parseAvroSchemaJson(json, table)
+{
+	// Form 1 of a schema, a string naming a type.
+	if (typeof(json) == "string") {
+		var result = table.getSchemaByName(json);
+		if (result === null) throw createSchemaError("SchemaParseException", "Undefined name: " + JSON.stringify(json));
+		return result;
+	}
+
+	// a list of types is a union
+	if (Array.isArray(json)) {
+		var types = [];
+		for (var i = 0; i < json.length; i++)
+			types.push(parseAvroSchemaJson(json[i], table));
+		return createUnionSchema(types);
+	}
+
+	if (!isJsonObject(json))
+		throw createSchemaError("SchemaParseException", "Schema not yet supported: " + JSON.stringify(json));
+
+	var type = getRequiredSchemaText(json, "type", "No type");
+	var savedNamespace = table.defaultNamespace;
+	var isNamed = type == "record" || type == "error" || type == "enum" || type == "fixed";
+	var name = null, doc = null, result;
+	if (isNamed) {
+		var namespace = getOptionalSchemaText(json, "namespace");
+		doc = getOptionalSchemaText(json, "doc");
+		if (!namespace) namespace = savedNamespace;
+		name = createSchemaName(getRequiredSchemaText(json, "name", "No name in schema"), namespace);
+		table.defaultNamespace = name.namespace;
+	}
+
+	if (avroPrimitiveTypes.indexOf(type) >= 0) {
+		result = {type: type, attributes: {}};
+	} else if (type == "record" || type == "error") {
+		result = createNamedSchema("record", name, doc);
+		result.isError = type == "error";
+		result.fields = [];
+		table.addSchema(result);
+		if (!Array.isArray(json.fields))
+			throw createSchemaError("SchemaParseException", "Record has no fields: " + JSON.stringify(json));
+		var fieldNames = {};
+		for (var i = 0; i < json.fields.length; i++) {
+			var field = parseAvroField(json.fields[i], table);
+			if (fieldNames.hasOwnProperty(field.name))
+				throw createSchemaError("AvroRuntimeException", "Duplicate field " + field.name + " in record " + result.fullname);
+			fieldNames[field.name] = true;
+			field.position = i;
+			result.fields.push(field);
+		}
+	} else if (type == "enum") {
+		if (!Array.isArray(json.symbols))
+			throw createSchemaError("SchemaParseException", "Enum has no symbols: " + JSON.stringify(json));
+		var symbols = json.symbols.map(getJsonString);
+		var enumDefault = json.hasOwnProperty("default") && json["default"] !== null ? getJsonString(json["default"]) : null;
+		result = createNamedSchema("enum", name, doc);
+		result.symbols = symbols;
+		result.enumDefault = enumDefault;
+		for (var i = 0; i < symbols.length; i++) {
+			if (symbols.indexOf(symbols[i]) < i)
+				throw createSchemaError("SchemaParseException", "Duplicate enum symbol: " + symbols[i]);
+			validateSchemaName(symbols[i]);
+		}
+		if (enumDefault !== null && symbols.indexOf(enumDefault) < 0)
+			throw createSchemaError("SchemaParseException", "The Enum Default: " + enumDefault + " is not in the enum symbol set: "
+				+ "[" + symbols.map(function(s) { return JSON.stringify(s); }).join(", ") + "]");
+		table.addSchema(result);
+	} else if (type == "array") {
+		if (!json.hasOwnProperty("items") || json.items === null)
+			throw createSchemaError("SchemaParseException", "Array has no items type: " + JSON.stringify(json));
+		result = {type: "array", items: parseAvroSchemaJson(json.items, table), attributes: {}};
+	} else if (type == "map") {
+		if (!json.hasOwnProperty("values") || json.values === null)
+			throw createSchemaError("SchemaParseException", "Map has no values type: " + JSON.stringify(json));
+		result = {type: "map", values: parseAvroSchemaJson(json.values, table), attributes: {}};
+	} else if (type == "fixed") {
+		if (!isJsonInteger(json.size))
+			throw createSchemaError("SchemaParseException", "invalid or no size: " + JSON.stringify(json));
+		result = createNamedSchema("fixed", name, doc);
+		result.size = json.size;
+		table.addSchema(result);
+	} else {
+		// a named type given as {"type": "Name"}, as used by self references in unions
+		var fullname = createSchemaName(type, table.defaultNamespace).fullname;
+		if (table.schemaByName.hasOwnProperty(fullname)) return table.schemaByName[fullname];
+		throw createSchemaError("SchemaParseException", "Type not supported: " + type);
+	}
+
+	for (var key in json)
+		if (avroReservedAttributes.indexOf(key) < 0) result.attributes[key] = json[key];
+	table.defaultNamespace = savedNamespace;
+	if (isNamed) {
+		var aliases = parseSchemaAliases(json);
+		for (var i = 0; i < aliases.length; i++) {
+			var alias = getSchemaFullname(createSchemaName(aliases[i], result.namespace));
+			if (result.aliases.indexOf(alias) < 0) result.aliases.push(alias);
+		}
+	}
+	return result;
+}
+
+function createNamedSchema(type, name, doc)
+{
+	if (avroPrimitiveTypes.indexOf(name.fullname) >= 0)
+		throw createSchemaError("AvroTypeException", "Schemas may not be named after primitives: " + name.fullname);
+	return {type: type, name: name.name, namespace: name.namespace, fullname: name.fullname, doc: doc, aliases: [], attributes: {}};
+}
+
+function createUnionSchema(types)
+{
+	var result = {type: "union", types: types, attributes: {}};
+	var names = [];
+	for (var i = 0; i < types.length; i++) {
+		if (types[i].type == "union")
+			throw createSchemaError("AvroRuntimeException", "Nested union: " + schemaToString(result));
+		var name = getSchemaFullname(types[i]);
+		if (name === null)
+			throw createSchemaError("AvroRuntimeException", "Nameless in union: " + schemaToString(result));
+		if (names.indexOf(name) >= 0)
+			throw createSchemaError("AvroRuntimeException", "Duplicate in union: " + name);
+		names.push(name);
+	}
+	return result;
+}
+
+function parseAvroField(json, table)
+{
+	var name = getRequiredSchemaText(json, "name", "No field name");
+	var doc = getOptionalSchemaText(json, "doc");
+	if (!json.hasOwnProperty("type"))
+		throw createSchemaError("SchemaParseException", "No field type: " + JSON.stringify(json));
+	if (typeof(json.type) == "string" && table.getSchemaByName(json.type) === null)
+		throw createSchemaError("SchemaParseException", JSON.stringify(json.type) + " is not a defined name. "
+			+ "The type of the \"" + name + "\" field must be defined or a {\"type\": ... } expression.");
+	var schema = parseAvroSchemaJson(json.type, table);
+
+	var order = "ASCENDING";
+	if (json.hasOwnProperty("order")) {
+		order = getJsonString(json.order).toUpperCase();
+		if (avroFieldOrders.indexOf(order) < 0)
+			throw createSchemaError("ConvException", "Value (" + order + ") does not match any member value of enum 'Order'");
+	}
+
+	var defaultValue = json.hasOwnProperty("default") ? json["default"] : null;
+	if (defaultValue !== null && (schema.type == "float" || schema.type == "double") && typeof(defaultValue) == "string") {
+		if (!/^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$|^[+-]?(nan|inf|infinity)$/i.test(defaultValue))
+			throw createSchemaError("ConvException", "Unexpected '" + defaultValue + "' when converting from type string to type double");
+		defaultValue = new Number(parseFloat(defaultValue.replace(/^([+-]?)inf$/i, "$1Infinity")));
+	}
+
+	var field = {name: validateSchemaName(name), type: schema, doc: doc, defaultValue: defaultValue, order: order, aliases: [], attributes: {}};
+	if (defaultValue !== null && !isValidSchemaDefault(schema, defaultValue))
+		throw createSchemaError("AvroTypeException", "Invalid default for field " + name + ": " + JSON.stringify(defaultValue)
+			+ " not a " + schemaToString(schema));
+	for (var key in json)
+		if (avroReservedAttributes.indexOf(key) < 0) field.attributes[key] = json[key];
+	var aliases = parseSchemaAliases(json);
+	for (var i = 0; i < aliases.length; i++)
+		if (field.aliases.indexOf(aliases[i]) < 0) field.aliases.push(aliases[i]);
+	return field;
+}
+
+// Returns whether a JSON value is a valid default for a schema, see Schema.isValidDefault.
+function isValidSchemaDefault(schema, value)
+{
+	switch (schema.type) {
+		case "string":
+		case "bytes":
+		case "enum":
+		case "fixed":
+			return typeof(value) == "string";
+		case "int":
+			return isJsonInteger(value) && value < 2147483647;
+		case "long":
+			return isJsonInteger(value);
+		case "float":
+		case "double":
+			return isJsonFloat(value);
+		case "boolean":
+			return typeof(value) == "boolean";
+		case "null":
+			return value === null;
+		case "array":
+			if (!Array.isArray(value)) return false;
+			for (var i = 0; i < value.length; i++)
+				if (!isValidSchemaDefault(schema.items, value[i])) return false;
+			return true;
+		case "map":
+			if (!isJsonObject(value)) return false;
+			for (var key in value)
+				if (!isValidSchemaDefault(schema.values, value[key])) return false;
+			return true;
+		case "union": // union default: first branch
+			return isValidSchemaDefault(schema.types[0], value);
+		case "record":
+			if (!isJsonObject(value)) return false;
+			for (var i = 0; i < schema.fields.length; i++) {
+				var field = schema.fields[i];
+				if (!isValidSchemaDefault(field.type, value.hasOwnProperty(field.name) ? value[field.name] : field.defaultValue))
+					return false;
+			}
+			return true;
+		default:
+			return false;
+	}
+}
+
+function getOptionalSchemaText(json, key)
+{
+	return isJsonObject(json) && typeof(json[key]) == "string" ? json[key] : null;
+}
+
+function getRequiredSchemaText(json, key, error)
+{
+	var text = getOptionalSchemaText(json, key);
+	if (text === null) throw createSchemaError("SchemaParseException", error + ": " + JSON.stringify(json));
+	return text;
+}
+
+function parseSchemaAliases(json)
+{
+	if (!json.hasOwnProperty("aliases")) return [];
+	if (!Array.isArray(json.aliases))
+		throw createSchemaError("SchemaParseException", "aliases not an array: " + JSON.stringify(json));
+	for (var i = 0; i < json.aliases.length; i++)
+		if (typeof(json.aliases[i]) != "string")
+			throw createSchemaError("SchemaParseException", "alias not a string: " + JSON.stringify(json.aliases[i]));
+	return json.aliases;
+}
+
+/**
+	Returns the textual representation of a schema that Schema.toString
+	produces. Named types that were already written are referenced by name.
+*/
+function schemaToString(schema, written)
+{
+	written = written || [];
+
+	function attributes(attrs)
+	{
+		var ret = "";
+		for (var key in attrs) ret += ", \"" + key + "\": " + JSON.stringify(attrs[key]);
+		return ret;
+	}
+
+	function name(schema)
+	{
+		if (written.indexOf(schema) >= 0) return null;
+		if (schema.name !== null) written.push(schema);
+		return ", \"name\": \"" + schema.name + "\"" + (schema.namespace !== null ? ", \"namespace\": \"" + schema.namespace + "\"" : "")
+			+ (schema.doc !== null ? ", \"doc\": \"" + schema.doc + "\"" : "");
+	}
+
+	function aliases(schema)
+	{
+		if (schema.aliases.length == 0) return "";
+		return ", \"aliases\": [ " + schema.aliases.map(function(a) { return "\"" + a + "\""; }).join(", ") + " ]";
+	}
+
+	switch (schema.type) {
+		case "record":
+			var header = name(schema);
+			if (header === null) return "\"" + schema.fullname + "\"";
+			return "{ \"type\": \"record\"" + header + ", \"fields\": [" + schema.fields.map(function(f) {
+				return "{ \"name\": \"" + f.name + "\", \"type\": " + schemaToString(f.type, written)
+					+ (f.doc !== null ? ", \"doc\": \"" + f.doc + "\"" : "")
+					+ (f.type.type == "null" || f.defaultValue !== null ? ", \"default\": " + JSON.stringify(f.defaultValue) : "")
+					+ (f.order != "ASCENDING" ? ", \"order\": \"" + f.order + "\"" : "")
+					+ (f.aliases.length > 0 ? ", \"aliases\": [" + f.aliases.map(function(a) { return "\"" + a + "\""; }).join(", ") + " ]" : "")
+					+ attributes(f.attributes) + " }";
+			}).join(", ") + "\n]" + attributes(schema.attributes) + " }";
+		case "enum":
+			var header = name(schema);
+			if (header === null) return "\"" + schema.fullname + "\"";
+			return "{ \"type\": \"enum\"" + header + ", \"symbols\": [" + schema.symbols.map(function(s) { return "\"" + s + "\""; }).join(", ") + " ]"
+				+ (schema.enumDefault !== null ? ", \"default\": \"" + schema.enumDefault + "\"" : "")
+				+ attributes(schema.attributes) + aliases(schema) + " }";
+		case "fixed":
+			var header = name(schema);
+			if (header === null) return "\"" + schema.fullname + "\"";
+			return "{ \"type\": \"fixed\"" + header + ", \"size\": " + schema.size + attributes(schema.attributes) + aliases(schema) + " }";
+		case "array":
+			return "{ \"type\": \"array\", \"items\": " + schemaToString(schema.items, written) + attributes(schema.attributes) + " }";
+		case "map":
+			return "{ \"type\": \"map\", \"values\": " + schemaToString(schema.values, written) + attributes(schema.attributes) + " }";
+		case "union":
+			return "[ " + schema.types.map(function(t) { return schemaToString(t, written); }).join(", ") + " ]";
+		default:
+			// primitives; the D implementation does not quote the type when there are attributes
+			if (attributes(schema.attributes) == "") return "\"" + schema.type + "\"";
+			return "{ \"type\": " + schema.type + attributes(schema.attributes) + " }";
+	}
+}
+
+// lets tools/check-schemaparser.js compare the parser with the D unittests in Node
+if (typeof(module) != "undefined")
+	module.exports = {
+		parseAvroSchema: parseAvroSchema,
+		schemaToString: schemaToString
+	};
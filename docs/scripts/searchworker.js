@@ -0,0 +1,38 @@
+/**
+	Answers the symbol searches of ddox.js in the background.
+
+	Receives {id, query, maxresults} messages and answers each with the result
+	of limitSearchResults plus the id. The full-text index is loaded once a
+	query contains name terms; that query is then answered a second time,
+	including the matches in the documentation text.
+*/
+importScripts("symbolsearch.js", "../symbols.js");
+
+// the postings prebuilt by tools/build-searchindex.js are optional
+try {
+	importScripts("../searchindex.js");
+} catch (e) {}
+
+var searchIndex = createSymbolSearchIndex(symbols, typeof(symbolSearchPostings) != "undefined" ? symbolSearchPostings : null);
+var fulltextStatus = "none";
+
+function answerSearch(request, fulltextIndex)
+{
+	var found = limitSearchResults(searchSymbols(searchIndex, request.query, fulltextIndex), request.maxresults);
+	found.id = request.id;
+	postMessage(found);
+	return found;
+}
+
+onmessage = function(e) {
+	var found = answerSearch(e.data, fulltextStatus == "loaded" ? fulltext : null);
+	if (fulltextStatus != "none" || found.results === null || found.terms.length == 0) return;
+
+	try {
+		importScripts("../fulltext.js");
+		fulltextStatus = typeof(fulltext) != "undefined" ? "loaded" : "failed";
+	} catch (err) {
+		fulltextStatus = "failed";
+	}
+	if (fulltextStatus == "loaded") answerSearch(e.data, fulltext);
+};
@@ -0,0 +1,645 @@
+/**
+	Matching and ranking of the symbol search. This file does not use the DOM,
+	so that it can run in the search worker (searchworker.js) as well as in
+	the page, which falls back to searching synchronously where workers are
+	not available, and in Node for tools/avro-docs.js.
+
+	The symbols are searched through an index created by
+	createSymbolSearchIndex, which holds the normalized names and the trigram
+	and prefix postings that narrow down the symbols to match.
+*/
+
+// Returns true if the character at index i starts a "hump" of a symbol name, i.e.
+// the start of a dotted segment, an upper case letter after a lower case one
+// ("Union" in "readUnionIndex") or the last capital of an acronym ("Lexer" in "JSONLexer").
+function isHumpStart(name, i)
+{
+	if (i == 0) return true;
+	var prev = name.charAt(i-1), c = name.charAt(i), next = name.charAt(i+1);
+	if (prev == "." || prev == "_") return true;
+	var isUpper = function(ch) { return ch != ch.toLowerCase(); };
+	var isLower = function(ch) { return ch != ch.toUpperCase(); };
+	if (isUpper(c) && (isLower(prev) || (isUpper(prev) && isLower(next)))) return true;
+	if (/[0-9]/.test(c) && !/[0-9]/.test(prev)) return true;
+	return false;
+}
+
+function getHumpStarts(name)
+{
+	var hump = [];
+	for (var p = 0; p < name.length; p++) hump.push(isHumpStart(name, p));
+	return hump;
+}
+
+function rangeOf(start, length)
+{
+	var ret = [];
+	for (var i = 0; i < length; i++) ret.push(start + i);
+	return ret;
+}
+
+/**
+	Matches all search terms against a symbol name.
+
+	Returns null if any term does not match, otherwise an object with the
+	summed score of all terms and the (sorted) positions of the matched
+	characters in the name. The index entry of the symbol, if given, supplies
+	the lower case name and the hump starts.
+*/
+function matchSymbol(name, terms, entry)
+{
+	var lname = entry ? entry.lname : name.toLowerCase();
+	var hump = entry ? entry.hump : undefined;
+	var score = 0;
+	var positions = [];
+	for (var i in terms) {
+		var m = matchSymbolTerm(name, lname, terms[i], hump);
+		if (!m) return null;
+		score += m.score;
+		for (var j in m.positions)
+			if (positions.indexOf(m.positions[j]) < 0)
+				positions.push(m.positions[j]);
+	}
+	positions.sort(function(a, b) { return a - b; });
+	return {score: score, positions: positions};
+}
+
+/**
+	Matches a single lower case search term against a symbol name.
+
+	Plain substrings score highest (200-250), followed by misspellings of a
+	complete name segment (140-160), camel case abbreviations such as "gd.sv"
+	for "GenericDatum.setValue" (100-150) and finally terms that are within a
+	small edit distance of the start of one of the dotted name segments (below 50).
+*/
+function matchSymbolTerm(name, lname, term, hump)
+{
+	var idx = lname.lastIndexOf(term);
+	if (idx >= 0) {
+		var bonus = 0;
+		if (idx == 0 || name.charAt(idx-1) == ".") bonus = 50;
+		else if (isHumpStart(name, idx)) bonus = 30;
+		return {score: 200 + bonus, positions: rangeOf(idx, term.length)};
+	}
+
+	var abbrev = matchAbbreviation(name, lname, term, hump);
+	var typo = matchWithTypos(lname, term);
+	if (abbrev && typo) return abbrev.score >= typo.score ? abbrev : typo;
+	return abbrev || typo;
+}
+
+/**
+	Matches the term as a sequence of camel case hump prefixes.
+
+	Every character of the term has to either continue the previously matched
+	character or start a new hump (see isHumpStart). A "." in the term only
+	matches a "." in the name, so "bindec.rui" finds
+	"BinaryDecoder.readUnionIndex". Among all possible alignments, the one with
+	the fewest skipped segments and ending in the last segment wins.
+*/
+function matchAbbreviation(name, lname, term, hump)
+{
+	var n = name.length, m = term.length;
+
+	// quick check if the term is a subsequence of the name at all
+	for (var i = 0, p = 0; i < m; i++, p++) {
+		p = lname.indexOf(term.charAt(i), p);
+		if (p < 0) return null;
+	}
+
+	if (hump === undefined) hump = getHumpStarts(name);
+
+	// score[i][p]: best score for matching term[i..] when term[i] is matched at p
+	var score = [], link = [];
+	for (var i = m-1; i >= 0; i--) {
+		score[i] = []; link[i] = [];
+		for (var p = 0; p < n; p++) {
+			score[i][p] = -1; link[i][p] = -1;
+			if (lname.charAt(p) != term.charAt(i)) continue;
+			if (i == m-1) {
+				// bonus for matches in the symbol's own (last) name segment
+				score[i][p] = lname.indexOf(".", p+1) < 0 ? 2 : 0;
+				continue;
+			}
+			var skipped = 0;
+			for (var q = p+1; q < n; q++) {
+				if (q > p+1 && lname.charAt(q-1) == ".") skipped++;
+				if (score[i+1][q] < 0) continue;
+				if (q != p+1 && !hump[q] && term.charAt(i+1) != ".") continue;
+				var s = score[i+1][q] + 2 - skipped;
+				if (s > score[i][p]) {
+					score[i][p] = s;
+					link[i][p] = q;
+				}
+			}
+		}
+	}
+
+	var best = -1, start = -1;
+	for (var p = 0; p < n; p++)
+		if (hump[p] && score[0][p] > best) {
+			best = score[0][p];
+			start = p;
+		}
+	if (start < 0) return null;
+
+	var positions = [];
+	for (var i = 0, p = start; i < m; p = link[i][p], i++)
+		positions.push(p);
+	var maxscore = 2 * m + 2;
+	return {score: 100 + Math.round(50 * Math.max(0, best) / maxscore), positions: positions};
+}
+
+// Returns the number of edits matchWithTypos accepts for a term, or -1 if it does not look for typos.
+function getMaxTypoDistance(term)
+{
+	if (term.length < 5 || term.indexOf(".") >= 0) return -1;
+	return term.length < 8 ? 1 : 2;
+}
+
+/**
+	Accepts terms of five or more characters that are within one (or two for
+	terms of eight or more characters) edits of the start of a name segment,
+	so that "binarydecodr" still finds "BinaryDecoder". Misspelled complete
+	segments rank above abbreviations, misspelled prefixes below.
+*/
+function matchWithTypos(lname, term)
+{
+	var maxdist = getMaxTypoDistance(term);
+	if (maxdist < 0) return null;
+
+	var parts = lname.split(".");
+	var best = null;
+	for (var i = 0, offset = 0; i < parts.length; offset += parts[i].length + 1, i++) {
+		var r = prefixEditDistance(term, parts[i]);
+		// prefer later segments on equal distance
+		if (r.distance <= maxdist && (!best || r.distance <= best.distance))
+			best = {distance: r.distance, start: offset, length: r.length, complete: r.length == parts[i].length};
+	}
+	if (!best) return null;
+	var score = (best.complete ? 160 : 50) - 10 * best.distance;
+	return {score: score, positions: rangeOf(best.start, best.length)};
+}
+
+// Computes the smallest edit distance (with transpositions) between a and any prefix of b.
+function prefixEditDistance(a, b)
+{
+	var d = [];
+	for (var i = 0; i <= a.length; i++) {
+		d[i] = [i];
+		for (var j = 1; j <= b.length; j++) {
+			if (i == 0) { d[i][j] = j; continue; }
+			var cost = a.charAt(i-1) == b.charAt(j-1) ? 0 : 1;
+			d[i][j] = Math.min(d[i-1][j] + 1, d[i][j-1] + 1, d[i-1][j-1] + cost);
+			if (i > 1 && j > 1 && a.charAt(i-1) == b.charAt(j-2) && a.charAt(i-2) == b.charAt(j-1))
+				d[i][j] = Math.min(d[i][j], d[i-2][j-2] + 1);
+		}
+	}
+	var ret = {distance: a.length, length: 0};
+	for (var j = 0; j <= b.length; j++)
+		if (d[a.length][j] <= ret.distance) ret = {distance: d[a.length][j], length: j};
+	return ret;
+}
+
+// Tests used by the "qualifier:value" terms of a search query.
+var symbolQueryQualifiers = {
+	kind: function(sym, value) { return sym.kind == value || sym.kind == value + "declaration"; },
+	attr: function(sym, value) { return sym.attributes.indexOf(value.replace(/^@/, "")) >= 0; },
+	module: function(sym, value) { return matchModuleName(getSymbolModule(sym), value); }
+};
+
+// Tests if a module name contains a run of whole segments, e.g. "codec" or "codec.decoder" for avro.codec.decoder.
+function matchModuleName(mod, value)
+{
+	return ("." + mod + ".").indexOf("." + value + ".") >= 0;
+}
+
+// Returns the lower case name of the module that declares a symbol, based on its page path.
+function getSymbolModule(sym)
+{
+	if (sym.kind == "module") return sym.name.toLowerCase();
+	var path = sym.path.replace(/^\.\//, "").replace(/#.*$/, "");
+	return path.substr(0, path.lastIndexOf("/")).replace(/\//g, ".").toLowerCase();
+}
+
+// Returns the sorted list of symbol kinds, without the "declaration" suffix.
+function getSymbolKinds(symbols)
+{
+	var kinds = [];
+	for (var i in symbols) {
+		var kind = symbols[i].kind.replace(/declaration$/, "");
+		if (kinds.indexOf(kind) < 0) kinds.push(kind);
+	}
+	return kinds.sort();
+}
+
+// Returns the sorted list of the lower case names of the modules that declare the symbols.
+function getSymbolModules(symbols)
+{
+	var modules = [];
+	for (var i in symbols) {
+		var mod = getSymbolModule(symbols[i]);
+		if (modules.indexOf(mod) < 0) modules.push(mod);
+	}
+	return modules.sort();
+}
+
+/**
+	Splits a lower case search string into plain name terms and qualifier
+	filters.
+
+	Qualifiers have the form "kind:class", "attr:abstract" or "module:decoder"
+	and may be negated with a leading "-", as in "-attr:safe". Qualifiers that
+	are unknown or incomplete are dropped from the query and reported in the
+	returned list of hints instead, as are kinds and modules that no symbol
+	has. kinds and modules are the lists of getSymbolKinds and
+	getSymbolModules.
+*/
+function parseSymbolQuery(searchstring, kinds, modules)
+{
+	var query = {terms: [], filters: [], hints: []};
+	var tokens = searchstring.trim().split(/\s+/);
+	for (var i in tokens) {
+		var m = /^(-?)([a-z]+):(.*)$/.exec(tokens[i]);
+		if (!m) {
+			if (tokens[i].length > 0) query.terms.push(tokens[i]);
+			continue;
+		}
+
+		var qualifier = m[2], value = m[3];
+		if (!symbolQueryQualifiers.hasOwnProperty(qualifier)) {
+			query.hints.push("Unknown qualifier \u201c" + qualifier + ":\u201d, use kind:, attr: or module:");
+			continue;
+		}
+		if (value.length == 0) {
+			if (qualifier == "kind") query.hints.push("kind: expects one of " + kinds.join(", "));
+			else if (qualifier == "attr") query.hints.push("attr: expects an attribute such as abstract, override, const or safe");
+			else query.hints.push("module: expects a module name such as decoder or avro.codec");
+			continue;
+		}
+		if (qualifier == "kind" && kinds.indexOf(value.replace(/declaration$/, "")) < 0) {
+			query.hints.push("Unknown kind \u201c" + value + "\u201d, use one of " + kinds.join(", "));
+			continue;
+		}
+		if (qualifier == "module" && !modules.some(function(mod) { return matchModuleName(mod, value); })) {
+			query.hints.push("No module matches \u201c" + value + "\u201d, use a module name such as decoder or avro.codec");
+			continue;
+		}
+
+		query.filters.push({qualifier: qualifier, value: value, negate: m[1] == "-"});
+	}
+	return query;
+}
+
+function matchSymbolFilters(sym, filters)
+{
+	for (var i in filters) {
+		var f = filters[i];
+		if (symbolQueryQualifiers[f.qualifier](sym, f.value) == f.negate)
+			return false;
+	}
+	return true;
+}
+
+// Returns a bit set of the letters of a lower case string. Digits share a bit, as do all other characters.
+function getCharMask(str)
+{
+	var mask = 0;
+	for (var i = 0; i < str.length; i++) {
+		var c = str.charCodeAt(i);
+		if (c >= 97 && c <= 122) mask |= 1 << (c - 97);
+		else if (c >= 48 && c <= 57) mask |= 1 << 26;
+		else mask |= 1 << 27;
+	}
+	return mask;
+}
+
+function countBits(mask)
+{
+	var n = 0;
+	for (; mask != 0; mask &= mask - 1) n++;
+	return n;
+}
+
+/**
+	Computes the postings of the search index: for each trigram of the lower
+	case names the symbols containing it, and for each character the symbols
+	having a hump (see isHumpStart) that starts with it. Symbols are referred
+	to by their position in symbols. tools/build-searchindex.js stores the
+	result in searchindex.js.
+*/
+function buildSymbolSearchPostings(symbols)
+{
+	var trigrams = {}, prefixes = {};
+	function add(postings, key, id)
+	{
+		if (!postings.hasOwnProperty(key)) postings[key] = [];
+		var list = postings[key];
+		if (list[list.length-1] !== id) list.push(id);
+	}
+
+	symbols.forEach(function(sym, id) {
+		var lname = sym.name.toLowerCase();
+		for (var i = 0; i + 3 <= lname.length; i++)
+			add(trigrams, lname.substr(i, 3), id);
+		for (var i = 0; i < lname.length; i++)
+			if (isHumpStart(sym.name, i)) add(prefixes, lname.charAt(i), id);
+	});
+	return {count: symbols.length, names: getSymbolNamesHash(symbols), trigrams: trigrams, prefixes: prefixes};
+}
+
+/**
+	Returns a hash of the names of the symbols in their order, which is all
+	the postings depend on. Postings that were built for a symbols.js with a
+	renamed, added or removed symbol have a different hash.
+*/
+function getSymbolNamesHash(symbols)
+{
+	// 32 bit FNV-1a over the names, each followed by a line break
+	var hash = 0x811C9DC5;
+	symbols.forEach(function(sym) {
+		var name = sym.name + "\n";
+		for (var i = 0; i < name.length; i++)
+			hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+	});
+	return ("0000000" + (hash >>> 0).toString(16)).substr(-8);
+}
+
+/**
+	Creates the search index of a list of symbols, using the postings of
+	searchindex.js if given and built from the same list of symbols.
+*/
+function createSymbolSearchIndex(symbols, postings)
+{
+	if (!postings || postings.count != symbols.length || postings.names != getSymbolNamesHash(symbols))
+		postings = buildSymbolSearchPostings(symbols);
+
+	var index = {symbols: symbols, entries: [], byName: {}, kinds: getSymbolKinds(symbols),
+		modules: getSymbolModules(symbols), trigrams: postings.trigrams, prefixes: postings.prefixes};
+	symbols.forEach(function(sym) {
+		var lname = sym.name.toLowerCase();
+		var parts = lname.split(".");
+		index.entries.push({sym: sym, lname: lname, parts: parts, sname: parts[parts.length-1],
+			hump: getHumpStarts(sym.name), mask: getCharMask(lname), deprecated: sym.attributes.indexOf("deprecated") >= 0});
+		index.byName[sym.name] = sym;
+	});
+	return index;
+}
+
+function getPostings(postings, key)
+{
+	return postings.hasOwnProperty(key) ? postings[key] : [];
+}
+
+function intersectPostings(a, b)
+{
+	var ret = [];
+	for (var i = 0, j = 0; i < a.length && j < b.length; ) {
+		if (a[i] < b[j]) i++;
+		else if (a[i] > b[j]) j++;
+		else { ret.push(a[i]); i++; j++; }
+	}
+	return ret;
+}
+
+/**
+	Returns the sorted positions of the symbols that may match a term, or null
+	if the term is too short to narrow them down.
+
+	A substring match contains all trigrams of the term. An abbreviation
+	starts with a hump beginning with the first character of the term and
+	contains all of its characters. A misspelling lacks at most as many of the
+	term's characters as edits are allowed.
+*/
+function getTermCandidates(index, term)
+{
+	if (term.length < 3) return null;
+
+	var substring = null;
+	for (var i = 0; i + 3 <= term.length; i++) {
+		var postings = getPostings(index.trigrams, term.substr(i, 3));
+		substring = substring === null ? postings : intersectPostings(substring, postings);
+	}
+
+	var selected = {};
+	substring.forEach(function(id) { selected[id] = true; });
+	var mask = getCharMask(term);
+	getPostings(index.prefixes, term.charAt(0)).forEach(function(id) {
+		if ((index.entries[id].mask & mask) == mask) selected[id] = true;
+	});
+	var maxdist = getMaxTypoDistance(term);
+	if (maxdist >= 0)
+		index.entries.forEach(function(entry, id) {
+			if (countBits(mask & ~entry.mask) <= maxdist) selected[id] = true;
+		});
+
+	var ret = [];
+	for (var id in selected) ret.push(+id);
+	return ret.sort(function(a, b) { return a - b; });
+}
+
+// Returns the sorted positions of the symbols that may match all terms, or null if all have to be tested.
+function getSymbolCandidates(index, terms)
+{
+	var ret = null;
+	for (var i in terms) {
+		var candidates = getTermCandidates(index, terms[i]);
+		if (candidates !== null) ret = ret === null ? candidates : intersectPostings(ret, candidates);
+	}
+	return ret;
+}
+
+/**
+	Searches the summaries, parameter names and descriptions of the full-text
+	index for symbols that contain all terms and are not part of namematches.
+
+	Matches in the summary weigh more than matches in parameter names, which
+	in turn weigh more than matches in the remaining text.
+*/
+function searchFulltext(index, fulltext, terms, filters, namematches)
+{
+	var excluded = {};
+	for (var i in namematches) excluded[namematches[i].name] = true;
+
+	var results = [];
+	for (var i in fulltext) {
+		var entry = fulltext[i];
+		var sym = index.byName.hasOwnProperty(entry.name) ? index.byName[entry.name] : null;
+		if (!sym || excluded[sym.name] || !matchSymbolFilters(sym, filters)) continue;
+
+		if (entry.lsummary === undefined) {
+			entry.lsummary = entry.summary.toLowerCase();
+			entry.lparams = entry.params.join(" ").toLowerCase();
+			entry.ltext = entry.text.toLowerCase();
+		}
+
+		var score = 0;
+		for (var j in terms) {
+			var s = 0;
+			if (entry.lsummary.indexOf(terms[j]) >= 0) s += 3;
+			if (entry.lparams.indexOf(terms[j]) >= 0) s += 2;
+			if (entry.ltext.indexOf(terms[j]) >= 0) s += 1;
+			if (s == 0) { score = 0; break; }
+			score += s;
+		}
+		if (score == 0) continue;
+
+		var text = entry.summary;
+		for (var j in terms)
+			if (entry.lsummary.indexOf(terms[j]) < 0 && entry.ltext.indexOf(terms[j]) >= 0) {
+				text = entry.text;
+				break;
+			}
+
+		results.push({name: sym.name, kind: sym.kind, path: sym.path, attributes: sym.attributes,
+			score: score, positions: [], snippet: makeSnippet(text, terms, 100)});
+	}
+
+	results.sort(function(a, b) {
+		var adep = a.attributes.indexOf("deprecated") >= 0;
+		var bdep = b.attributes.indexOf("deprecated") >= 0;
+		if (adep != bdep) return adep - bdep;
+		if (a.score != b.score) return b.score - a.score;
+		return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+	});
+	return results;
+}
+
+function escapeHtml(str)
+{
+	return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Returns an HTML excerpt of about maxlen characters around the first term found in text, with all terms in bold.
+function makeSnippet(text, terms, maxlen)
+{
+	var ltext = text.toLowerCase();
+	var first = ltext.length;
+	for (var i in terms) {
+		var idx = ltext.indexOf(terms[i]);
+		if (idx >= 0 && idx < first) first = idx;
+	}
+
+	var start = 0;
+	if (first > maxlen / 3) {
+		start = ltext.indexOf(" ", first - Math.round(maxlen / 3)) + 1;
+		if (start <= 0 || start > first) start = first;
+	}
+	var end = Math.min(text.length, start + maxlen);
+	if (end < text.length && ltext.lastIndexOf(" ", end) > first) end = ltext.lastIndexOf(" ", end);
+
+	var positions = [];
+	for (var i in terms)
+		for (var idx = ltext.indexOf(terms[i], start); idx >= 0 && idx < end; idx = ltext.indexOf(terms[i], idx + 1))
+			for (var k = idx; k < idx + terms[i].length && k < end; k++)
+				if (positions.indexOf(k - start) < 0) positions.push(k - start);
+	positions.sort(function(a, b) { return a - b; });
+
+	var ret = "";
+	var inmatch = false;
+	for (var i = start; i < end; i++) {
+		var matched = positions.length > 0 && positions[0] == i - start;
+		if (matched) positions.shift();
+		if (matched != inmatch) ret += matched ? "<b>" : "</b>";
+		inmatch = matched;
+		ret += escapeHtml(text.charAt(i));
+	}
+	if (inmatch) ret += "</b>";
+	return (start > 0 ? "&hellip;" : "") + ret + (end < text.length ? "&hellip;" : "");
+}
+
+/**
+	Searches the index for a lower case search string.
+
+	Returns the hints produced while parsing the query, its name terms and
+	the ranked list of results, which is null if the query is too short to
+	search for. If the full-text index is given, the matches in the
+	documentation text follow the name matches.
+*/
+function searchSymbols(index, searchstring, fulltext)
+{
+	var query = parseSymbolQuery(searchstring, index.kinds, index.modules);
+	var terms = query.terms;
+	if (query.filters.length == 0 && (terms.length == 0 || (terms.length == 1 && terms[0].length < 2)))
+		return {hints: query.hints, terms: terms, results: null};
+
+	function getPrefixIndex(parts)
+	{
+		for (var i = parts.length-1; i >= 0; i--)
+			for (var j in terms)
+				if (parts[i].length >= terms[j].length && parts[i].substr(0, terms[j].length) == terms[j])
+					return parts.length - 1 - i;
+		return parts.length;
+	}
+
+	var candidates = getSymbolCandidates(index, terms);
+	var count = candidates === null ? index.entries.length : candidates.length;
+	var matches = [];
+	for (var i = 0; i < count; i++) {
+		var entry = index.entries[candidates === null ? i : candidates[i]];
+		var sym = entry.sym;
+		if (!matchSymbolFilters(sym, query.filters)) continue;
+		var match = terms.length > 0 ? matchSymbol(sym.name, terms, entry) : {score: 0, positions: []};
+		if (!match) continue;
+
+		matches.push({entry: entry, exact: terms.indexOf(entry.sname) >= 0, prefix: getPrefixIndex(entry.parts),
+			result: {name: sym.name, kind: sym.kind, path: sym.path, attributes: sym.attributes,
+				score: match.score, positions: match.positions}});
+	}
+
+	function compare(a, b) {
+		var ae = a.entry, be = b.entry;
+
+		// prefer non-deprecated matches
+		if (ae.deprecated != be.deprecated) return ae.deprecated - be.deprecated;
+
+		// prefer exact matches
+		if (a.exact != b.exact) return b.exact - a.exact;
+
+		// prefer prefix matches
+		var aprefix = a.prefix < ae.parts.length;
+		var bprefix = b.prefix < be.parts.length;
+		if (aprefix != bprefix) return bprefix - aprefix;
+		if (aprefix && a.prefix != b.prefix) return a.prefix - b.prefix;
+
+		// prefer substring matches over abbreviations and abbreviations over typos
+		if (a.result.score != b.result.score) return b.result.score - a.result.score;
+
+		// prefer elements with less nesting
+		if (ae.parts.length < be.parts.length) return -1;
+		if (ae.parts.length > be.parts.length) return 1;
+
+		// prefer matches with a shorter name
+		if (ae.sname.length < be.sname.length) return -1;
+		if (ae.sname.length > be.sname.length) return 1;
+
+		// sort the rest alphabetically
+		if (ae.lname < be.lname) return -1;
+		if (ae.lname > be.lname) return 1;
+		return 0;
+	}
+
+	matches.sort(compare);
+	var results = matches.map(function(m) { return m.result; });
+
+	if (terms.length > 0 && fulltext)
+		results = results.concat(searchFulltext(index, fulltext, terms, query.filters, results));
+
+	return {hints: query.hints, terms: terms, results: results};
+}
+
+// Keeps the first maxresults results of searchSymbols and records their total number as count.
+function limitSearchResults(found, maxresults)
+{
+	var count = found.results === null ? 0 : found.results.length;
+	var results = found.results === null ? null : found.results.slice(0, maxresults);
+	return {hints: found.hints, terms: found.terms, results: results, count: count};
+}
+
+// lets the tools, such as tools/avro-docs.js, search in Node
+if (typeof(module) != "undefined")
+	module.exports = {
+		buildSymbolSearchPostings: buildSymbolSearchPostings,
+		createSymbolSearchIndex: createSymbolSearchIndex,
+		searchSymbols: searchSymbols
+	};
@@ -0,0 +1,2 @@
+// symbol search postings generated by tools/build-searchindex.js - do not edit
+var symbolSearchPostings = {"count":238,"names":"8220529b","trigrams":{"avr":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,155,156,157,158,159,160,161,162,163,164,165,166,167,168,169,170,171,172,173,174,175,176,177,178,179,180,181,182,183,184,185,186,187,188,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220,221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"vro":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,155,156,157,158,159,160,161,162,163,164,165,166,167,168,169,170,171,172,173,174,175,176,177,178,179,180,181,182,183,184,185,186,187,188,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220,221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"ro.":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,155,156,157,158,159,160,161,162,163,164,165,166,167,168,169,170,171,172,173,174,175,176,177,178,179,180,181,182,183,184,185,186,187,188,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220,221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"o.c":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98],".co":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,219],"cod":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,157],"ode":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98],"dec":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98],"ec.":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98],"c.b":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23],".bi":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15],"bin":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15],"ina":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,117,120,197],"nar":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15],"ary":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15],"ryd":[0,1,2,3,4,5,6,7,8,9,10,11],"yde":[0,1,2,3,4,5,6,7,8,9,10,11],"eco":[0,1,2,3,4,5,6,7,8,9,10,11,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,65,66,69,70,71,72,93,94,128,129,130,131,132,133,134,135,235],"der":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,141,142,143,144,161,162,163,164,173,174,175,176,177,178,179,180,181],"er.":[1,2,3,4,5,6,7,8,9,10,11,13,14,15,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,70,71,72,74,75,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,142,143,144,146,147,148,162,163,164,183,184,185,186,187,188],"r.b":[1,2,3,4,5,6,7,8,9,10,11,13,14,15,80],"r.d":[2,3,4,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,82,83,163],".do":[2,3,4,82,83,227],"dor":[2,3],"ore":[2,3,164],"rea":[2,3,5,6,7,8,9,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,141,142,143,144,192],"ead":[2,3,5,6,7,8,9,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,141,142,143,144],"adi":[2,34],"dit":[2],"ite":[2,4,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,71,88,145,146,147,148],"tem":[2,4,50,51,62,63],"emc":[2,50],"mco":[2,50],"cou":[2,50,130],"oun":[2,50,130],"unt":[2,50,130,155],"adl":[3,35],"dlo":[3,35],"lon":[3,35,61,85,94,96,98,232],"ong":[3,35,61,85,94,96,98,232],"dos":[4],"osk":[4],"ski":[4,10,42,43,44,45,46,71],"kip":[4,10,42,43,44,45,46,71],"ipi":[4],"pit":[4],"ems":[4],"r.r":[5,6,7,8,9,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,143],".re":[5,6,7,8,9,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,143,181,235],"ada":[5,26,27],"dar":[5,26,27],"arr":[5,26,27,42,52,53,100,101,102,224],"rra":[5,26,27,42,52,53,100,101,102,224],"ray":[5,26,27,42,52,53,100,101,102,224],"ayn":[5,26],"yne":[5,26],"nex":[5,7,26,36,86],"ext":[5,7,26,36,86,188],"ade":[6,31,141,142,143,144],"den":[6,31,65],"enu":[6,31,57,64,116,117,118,119,120,121,122,196,197,198,210,228],"num":[6,31,57,89,116,117,118,119,120,121,122,157,196,197,198,210,228],"adm":[7,8,36,37],"dma":[7,8,36,37,173,174,175,176,177,178,179,180,181],"map":[7,8,10,36,37,45,62,63,125,126,127,158,173,174,175,176,177,178,179,180,181,233],"apn":[7,36],"pne":[7,36],"aps":[8,37,63],"pst":[8,37,46,63],"sta":[8,27,37,51,53,63,66],"tar":[8,27,37,51,53,63,66],"art":[8,27,37,51,53,63,66],"adu":[9,40,41],"dun":[9,40,41],"uni":[9,40,41,68,105,107,113,136,137,138,139,140,237],"nio":[9,40,41,68,105,107,113,136,137,138,139,140,237],"ion":[9,40,41,68,91,105,107,113,136,137,138,139,140,154,155,156,157,158,237],"oni":[9,41,105,113,138,139],"nin":[9,41,105,113,138,139],"ind":[9,41,105,111,112,113,131,133,138,139,179,203],"nde":[9,41,69,70,71,72,105,111,112,113,131,133,138,139,179,203],"dex":[9,41,105,111,112,113,131,133,138,139,179,203],"r.s":[10,42,43,44,45,46,50,51,71],".sk":[10,42,43,44,45,46,71],"ipm":[10,45],"pma":[10,45],"rye":[12,13,14,15],"yen":[12,13,14,15,52],"enc":[12,13,14,15,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,73,74,75,95,96,97,98,157],"nco":[12,13,14,15,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,73,74,75,95,96,97,98,157],"r.t":[14,88,89,90,144,147],".th":[14,20,102,115,122,124,127,135,140,144,147,165,171],"thi":[14,20,102,115,122,124,127,135,140,144,147,165,171],"his":[14,20,102,115,122,124,127,135,140,144,147,165,171],".bu":[16,17,18,19,20,21,22,23],"buf":[16,17,18,19,20,21,22,23],"uff":[16,17,18,19,20,21,22,23],"ffe":[16,17,18,19,20,21,22,23],"fer":[16,17,18,19,20,21,22,23],"ere":[16,17,18,19,20,21,22,23,65,66,157,173,174,175,176,177,178,179,180,181],"red":[16,17,18,19,20,21,22,23,173,174,175,176,177,178,179,180,181],"edo":[16,17,18,19,20,21,22,23,56],"dou":[16,17,18,19,20,21,22,23,30,56,83,227],"out":[16,17,18,19,20,21,22,23],"utp":[16,17,18,19,20,21,22,23],"tpu":[16,17,18,19,20,21,22,23],"put":[16,17,18,19,20,21,22,23],"utr":[16,17,18,19,20,21,22,23],"tra":[16,17,18,19,20,21,22,23],"ran":[16,17,18,19,20,21,22,23],"ang":[16,17,18,19,20,21,22,23],"nge":[16,17,18,19,20,21,22,23,157],"ge.":[17,18,19,20,21,22,23],"e.b":[17,18,19,20,21,225,226],"e.f":[18,229,230],".fl":[18,49,230],"flu":[18,49],"lus":[18,49],"ush":[18,49],"e.p":[19,222],".pu":[19],"e.t":[20,171,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"e.e":[22,228],".el":[22],"ele":[22,195],"lem":[22,195],"eme":[22,195],"men":[22,195],"ent":[22,195],"ntt":[22],"tty":[22,207,208],"typ":[22,68,156,204,207,208,221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"ype":[22,68,156,204,207,208,221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"e.i":[23,231],".is":[23,107,176,211],"isb":[23],"sbl":[23],"blo":[23],"loc":[23],"ock":[23],"cko":[23],"kou":[23],"c.d":[24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46],".de":[24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,93,94,163],"ays":[27,53],"yst":[27,53,90],"adb":[28,29],"dbo":[28],"boo":[28,54,80,225],"ool":[28,54,80,225],"ole":[28,54,225],"lea":[28,54,175,225],"ean":[28,54,225],"dby":[29],"byt":[29,43,55,226],"yte":[29,43,55,226],"tes":[29,43,55,67,149,150,151,152,153,226],"add":[30,151,184,191,218],"ddo":[30],"oub":[30,56,83,227],"ubl":[30,56,83,227],"ble":[30,56,83,214,215,216,217,218,219,220,227],"adf":[32,33],"dfi":[32],"fix":[32,44,58,123,124,201,229],"ixe":[32,44,58,123,124,201,229],"xed":[32,44,58,123,124,201,229],"dfl":[33],"flo":[33,59,230],"loa":[33,59,230],"oat":[33,59,230],"din":[34,117,120,131,157,162,163,197],"int":[34,60,93,95,97,231],"adn":[38],"dnu":[38,157],"nul":[38,64,234],"ull":[38,64,168,202,234],"ads":[39],"dst":[39,66],"str":[39,46,67,90,213,236],"tri":[39,46,67,90,149,150,151,152,153,213,236],"rin":[39,46,67,90,213,236],"ing":[39,46,67,90,157,162,163,213,236],"one":[40,73,74,75],"nen":[40,73,74,75],"end":[40,52,62,65,162,163],"ipa":[42],"par":[42,158,182,183,184,185,186,187,188],"ipb":[43],"pby":[43],"ipf":[44],"pfi":[44],"ips":[46],"c.e":[47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68],".en":[47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,95,96,97,98,228],"r.e":[48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,84],"r.f":[49],".se":[50,113,114,120,121,134,139,212],"set":[50,113,114,120,121,134,139,188,212],"eti":[50,203],"tit":[50,51],".st":[51,236],"rti":[51],"r.w":[52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,148],".wr":[52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,148],"wri":[52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,145,146,147,148],"rit":[52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,145,146,147,148],"tea":[52,53],"ear":[52,53,175],"aye":[52],"teb":[54,55],"ebo":[54],"eby":[55],"ted":[56],"tee":[57],"een":[57],"tef":[58,59],"efi":[58,186],"efl":[59],"tei":[60],"ein":[60,95],"tel":[61,195],"elo":[61,96],"ema":[62,63,158,184,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220],"ape":[62],"pen":[62],"ten":[64,117,120,172,196,197,198],"ter":[65,66,88,145,146,147,148],"rec":[65,66,128,129,130,131,132,133,134,135,235],"cor":[65,66,128,129,130,131,132,133,134,135,235],"ord":[65,66,117,120,128,129,130,131,132,133,134,135,161,162,163,164,173,174,175,176,177,178,179,180,181,197,235],"rde":[65,161,162,163,164,173,174,175,176,177,178,179,180,181],"rds":[66],"est":[67],"teu":[68],"eun":[68],"ont":[68,103,219],"nty":[68],"c.j":[69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91],".js":[69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91],"jso":[69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,150,151,152,153,187],"son":[69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,150,151,152,153,187],"ond":[69,70,71,72],"r.j":[70,71,72,74,75,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91],"ipc":[71],"pco":[71],"com":[71],"omp":[71],"mpo":[71],"pos":[71],"osi":[71],"sit":[71],"onl":[76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91],"nle":[76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91],"lex":[76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91],"exe":[76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91],"xer":[76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91],"r.a":[79,162,184],".ad":[79,151,184,191,218],"adv":[79,82],"dva":[79,82],"van":[79,82],"anc":[79,82],"nce":[79,82],".bo":[80,225],"olv":[80],"lva":[80],"val":[80,83,85,101,106,114,119,126,157,172,209],"alu":[80,83,85,101,106,114,119,126,209],"lue":[80,83,85,101,106,114,119,126,209],"r.c":[81],".cu":[81],"cur":[81],"doa":[82],"oad":[82],"lev":[83],"eva":[83],".ex":[84,154,155,156,157,158],"exp":[84],"xpe":[84],"pec":[84],"ect":[84],"ctt":[84],"tto":[84],"tok":[84],"oke":[84],"ken":[84],"r.l":[85],".lo":[85,232],"ngv":[85],"gva":[85],"r.n":[86],".ne":[86],"r.p":[87,183,184,185,186,187,188],".pe":[87],"pee":[87,156],"eek":[87],".tr":[88,89,90],"try":[88,89,90],"ryl":[88],"yli":[88],"lit":[88],"era":[88],"ral":[88],"ryn":[89],"ynu":[89],"umb":[89,157],"mbe":[89,157],"ber":[89,157],"rys":[90],"xex":[91],"exc":[91,154,155,156,157,158],"xce":[91,154,155,156,157,158],"cep":[91,154,155,156,157,158],"ept":[91,154,155,156,157,158],"pti":[91,154,155,156,157,158],"tio":[91,154,155,156,157,158],"c.z":[92,93,94,95,96,97,98],".zi":[92,93,94,95,96,97,98],"zig":[92,93,94,95,96,97,98],"igz":[92,93,94,95,96,97,98],"gza":[92,93,94,95,96,97,98],"zag":[92,93,94,95,96,97,98],"ag.":[93,94,95,96,97,98],"g.d":[93,94],"dez":[93,94,97,98],"ezi":[93,94,97,98],"agi":[93,97],"gin":[93,97],"agl":[94,98],"glo":[94,98],"g.e":[95,96,97,98],"dei":[95],"del":[96],"o.g":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148],".ge":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,152,168,169,170,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,220],"gen":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148],"ene":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148],"ner":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148],"eri":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148],"ric":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148],"ic.":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148],"c.g":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148],"icd":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140],"cda":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140],"dat":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,151,172],"ata":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,214,215,216,217,218,219,220],"ta.":[100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140],"a.g":[100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209],"ica":[100,101,102,204],"car":[100,101,102],"ay.":[101,102],"y.g":[101],"get":[101,105,106,117,118,119,126,132,137,138,152,168,169,170,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,220],"etv":[101,106,114,119,126,209],"tva":[101,106,114,119,126,209],"y.t":[102],"icc":[103],"cco":[103],"con":[103,219],"nta":[103,219],"tai":[103,219],"ain":[103,219],"ine":[103],"atu":[104,105,106,107,108,109,110,111,112,113,114,115,137],"tum":[104,105,106,107,108,109,110,111,112,113,114,115,137],"um.":[105,106,107,108,109,110,111,112,113,114,115,117,118,119,120,121,122],"m.g":[105,106,117,118,119],"etu":[105,113,138,139],"tun":[105,113,138,139],"m.i":[107],"isu":[107],"sun":[107],"m.l":[108],".le":[108],"len":[108],"eng":[108],"ngt":[108],"gth":[108],"m.o":[109,110,111,112],".op":[109,110,111,112,133,178,179],"opa":[109,178],"pas":[109,178],"ass":[109,112,178,179],"ssi":[109,112,178,179],"sig":[109,112,178,179],"ign":[109,112,164,178,179],"opc":[110],"pca":[110],"cas":[110],"ast":[110],"opi":[111,112,133,179],"pin":[111,112,133,179],"exa":[112,179],"xas":[112,179],"m.s":[113,114,120,121],"m.t":[115,122],"ice":[116,117,118,119,120,121,122],"cen":[116,117,118,119,120,121,122,162,163],"ete":[117,120,188,195,196,197,198],"umo":[117,120,197],"mor":[117,120,197],"rdi":[117,120,197],"nal":[117,120,197],"ets":[118,121,220],"tsy":[118,121],"sym":[118,121,198,210],"ymb":[118,121,198,210],"mbo":[118,121,198,210],"bol":[118,121,198,210],"icf":[123,124],"cfi":[123,124],"ed.":[124],"d.t":[124,135,165],"icm":[125,126,127],"cma":[125,126,127],"ap.":[126,127,174,175,176,177,178,179,180,181],"p.g":[126],"p.t":[127],"icr":[128,129,130,131,132,133,134,135,141,142,143,144],"cre":[128,129,130,131,132,133,134,135,141,142,143,144,192],"rd.":[129,130,131,132,133,134,135],"d.f":[129,130,131,160,161,162,163,164,165],".fi":[129,130,131,159,160,161,162,163,164,165,229],"fie":[129,130,131,132,134,159,160,161,162,163,164,165,199,200,212],"iel":[129,130,131,132,134,159,160,161,162,163,164,165,199,200,212],"eld":[129,130,131,132,134,159,160,161,162,163,164,165,199,200,212],"lda":[129,134],"ldc":[130],"dco":[130],"ldi":[131],"d.g":[132],"etf":[132,134,168,199,200,201,202,212],"tfi":[132,134,199,200,201,212],"d.o":[133,161,162,163,164],"d.s":[134],"icu":[136,137,138,139,140],"cun":[136,137,138,139,140],"on.":[137,138,139,140,155,156,157,158],"n.g":[137,138],"etd":[137,194],"tda":[137],"n.s":[139,158],"n.t":[140],"r.g":[142,143,144,146,147,148],"icw":[145,146,147,148],"cwr":[145,146,147,148],"o.a":[149,150,151,152,153],".at":[149,150,151,152,153],"att":[149,150,151,152,153],"ttr":[149,150,151,152,153],"rib":[149,150,151,152,153],"ibu":[149,150,151,152,153],"but":[149,150,151,152,153],"ute":[149,150,151,152,153],"es.":[150,151,152,153],"s.h":[150,151,152,153],".ha":[150,151,152,153,210],"has":[150,151,152,153,210],"asj":[150,151,152,153],"sjs":[150,151,152,153],"ona":[150,151,152,153],"nat":[150,151,152,153],"s.a":[151],"dda":[151,191],"s.g":[152],"eta":[152,193],"tat":[152],"asa":[153],"sat":[153],"o.e":[154,155,156,157,158],"n.a":[155,156],".av":[155,156],"ror":[155,211],"oru":[155],"run":[155],"nti":[155],"tim":[155],"ime":[155],"mee":[155],"eex":[155,156,158],"rot":[156],"oty":[156],"n.i":[157],".in":[157,231],"inv":[157],"nva":[157],"ali":[157,172,185,191,193],"lid":[157,172],"idn":[157],"ren":[157],"odi":[157],"gex":[157],".sc":[158,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220],"sch":[158,184,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220],"che":[158,184,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220],"hem":[158,184,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220],"apa":[158],"ars":[158,182,183,184,185,186,187,188],"rse":[158,182,183,184,185,186,187,188],"see":[158],"o.f":[159,160,161,162,163,164,165],"ld.":[160,161,162,163,164,165],".or":[161,162,163,164,173,174,175,176,177,178,179,180,181],".as":[162],"asc":[162],"sce":[162,163],"ndi":[162,163],"des":[163],"esc":[163,209],"r.i":[164],".ig":[164],"gno":[164],"nor":[164],"o.n":[166,167,168,169,170,171,172],".na":[166,167,168,169,170,171,172],"nam":[166,167,168,169,170,171,172,202,203,205,206,216,217,219,220,222],"ame":[166,167,168,169,170,171,172,202,203,205,206,216,217,219,220,222],"me.":[167,168,169,170,171,172],"e.n":[167,168,169,170,171,172,234],"e.g":[168,169,170,220],"tfu":[168,202],"ful":[168,202],"lln":[168,202],"lna":[168,202],"etn":[169,170,205,206],"tna":[169,170,205,206,216],"mes":[170,206,216],"esp":[170,206,216],"spa":[170,206,216],"pac":[170,206,216],"ace":[170,206,216],"e.v":[172],".va":[172],"ida":[172],"ate":[172,192],"ena":[172],"o.o":[173,174,175,176,177,178,179,180,181],"edm":[173,174,175,176,177,178,179,180,181],"p.o":[174,175,176,177,178,179,180,181],"p.c":[175],".cl":[175],"cle":[175],"p.i":[176],"ise":[176,211],"sem":[176],"emp":[176],"mpt":[176],"pty":[176],"p.m":[177],".ma":[177,233],"edk":[180],"dke":[180],"key":[180],"eys":[180],"p.r":[181],"rem":[181],"emo":[181],"mov":[181],"ove":[181],"o.p":[182,183,184,185,186,187,188],".pa":[182,183,184,185,186,187,188],"ser":[182,183,184,185,186,187,188,211],"dds":[184,218],"dsc":[184,218],"mas":[184],"sea":[185],"eal":[185],"lia":[185,191,193],"ias":[185,191,193],"ase":[185,193,210],"ses":[185,193],"sef":[186],"fil":[186],"ile":[186],"sej":[187],"ejs":[187],"tex":[188],"o.s":[189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220],"ma.":[190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213],"a.s":[190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213],"a.a":[191],"dal":[191],"a.c":[192],".cr":[192],"eat":[192],"tep":[192],"epr":[192],"pri":[192,222],"rim":[192,222],"imi":[192,222],"mit":[192,222],"iti":[192,222],"tiv":[192,222],"ive":[192,222],"tal":[193],"tdo":[194],"doc":[194],"nts":[195],"tsc":[195,220],"umd":[196],"mde":[196],"def":[196,216],"efa":[196,216],"fau":[196,216],"aul":[196,216],"ult":[196,216],"ums":[198,210],"msy":[198,210],"ols":[198],"lds":[200,212],"eds":[201],"dsi":[201],"siz":[201],"ize":[201],"tin":[203],"exn":[203],"xna":[203],"med":[203],"etl":[204],"tlo":[204],"log":[204],"ogi":[204],"gic":[204],"cal":[204],"alt":[204],"lty":[204],"ett":[207,208],"pes":[208],"ues":[209],"a.h":[210],"sen":[210],"a.i":[211],"err":[211],"rro":[211],"a.t":[213],".to":[213],"tos":[213],"ost":[213],"mat":[214,215,216,217,218,219,220],"tab":[214,215,216,217,218,219,220],"abl":[214,215,216,217,218,219,220],"le.":[215,216,217,218,219,220],"e.s":[215,216,217,218,219,220,236],"e._":[216,217],"._d":[216],"_de":[216],"ltn":[216],"._s":[217],"_sc":[217],"mab":[217,220],"aby":[217,220],"byn":[217,220],"yna":[217,220],"e.a":[218,224],"e.c":[219],"ins":[219],"nsn":[219],"sna":[219],"o.t":[221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],".ty":[221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"pe.":[222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],".pr":[222],"ve_":[222],"e_t":[222],"_ty":[222],"pe_":[222],"e_b":[222],"_by":[222],"by_":[222],"y_n":[222],"_na":[222],".ar":[224],".by":[226],"e.d":[227],"e.l":[232],"e.m":[233],".nu":[234],"e.r":[235],"e.u":[237],".un":[237]},"prefixes":{"a":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,155,156,157,158,159,160,161,162,163,164,165,166,167,168,169,170,171,172,173,174,175,176,177,178,179,180,181,182,183,184,185,186,187,188,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220,221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"c":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,103,110,130,175,192,219],"b":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,28,29,43,54,55,80,217,220,222,225,226],"d":[1,2,3,4,5,6,7,8,9,10,11,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,56,70,71,72,82,83,93,94,104,105,106,107,108,109,110,111,112,113,114,115,137,163,194,196,216,227],"r":[2,3,5,6,7,8,9,17,18,19,20,21,23,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,65,66,128,129,130,131,132,133,134,135,142,143,144,155,181,235],"i":[2,4,9,23,34,41,50,51,60,93,95,97,105,107,111,112,113,131,133,138,139,157,164,176,179,203,211,231],"l":[3,35,61,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,94,96,98,108,204,232],"s":[4,8,10,27,37,39,42,43,44,45,46,50,51,53,63,66,67,71,90,113,114,118,120,121,134,139,158,184,189,190,191,192,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,210,211,212,213,214,215,216,217,218,219,220,236],"n":[5,7,26,36,38,64,86,89,157,166,167,168,169,170,171,172,203,205,206,216,217,219,220,222,234],"e":[6,13,14,15,22,31,40,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,74,75,84,91,95,96,97,98,116,117,118,119,120,121,122,154,155,156,157,158,176,195,196,197,198,210,211,228],"m":[7,8,10,36,37,45,62,63,125,126,127,174,175,176,177,178,179,180,181,233],"u":[9,40,41,68,105,107,113,136,137,138,139,140,237],"t":[14,20,22,68,84,88,89,90,102,115,122,124,127,135,140,144,147,156,165,171,188,204,207,208,213,215,216,217,218,219,220,221,222,223,224,225,226,227,228,229,230,231,232,233,234,235,236,237],"o":[17,18,19,20,21,23,109,110,111,112,117,120,133,161,162,163,164,173,174,175,176,177,178,179,180,181,197],"f":[18,32,33,44,49,58,59,123,124,129,130,131,132,134,159,160,161,162,163,164,165,168,186,199,200,201,202,212,229,230],"p":[19,87,158,182,183,184,185,186,187,188,192,222],"w":[52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,146,147,148],"j":[69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,150,151,152,153,187],"v":[80,83,85,101,106,114,119,126,172,209],"z":[92,93,94,95,96,97,98],"g":[99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,152,168,169,170,193,194,195,196,197,198,199,200,201,202,203,204,205,206,207,208,209,220],"h":[150,151,152,153,210],"k":[180],"_":[216,217]}};
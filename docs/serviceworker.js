@@ -0,0 +1,162 @@
+/**
+	Keeps a copy of the documentation for reading it offline. The worker is
+	registered by setupOfflineCache in scripts/ddox.js and lives in the root
+	directory, so that its scope covers all pages.
+
+	The pages listed in file_hashes.json are precached. Whenever a page is
+	opened while online, at most every few minutes, file_hashes.json is
+	fetched again and only the pages whose hash changed are downloaded. The
+	list includes symbols.js, and the same check reads the hashes of the
+	indexes generated from it from index-hashes.json, written by
+	tools/build-pages.js, so that these are replaced together. The other
+	files have no hashes; they are served from the cache and updated in the
+	background.
+*/
+
+var offlineCacheName = "avro-docs-v1 " + self.registration.scope;
+
+// the files without a hash, precached on installation
+var offlineFiles = [
+	"apichanges.html", "encoding.html", "hierarchy.html", "playground.html", "search.html",
+	"scripts/apichanges.js", "scripts/apidiff.js", "scripts/avrocodec.js", "scripts/ddox.js",
+	"scripts/encoding.js", "scripts/hierarchy.js", "scripts/jquery.js", "scripts/playground.js",
+	"scripts/schemaparser.js", "scripts/searchworker.js", "scripts/symbolsearch.js",
+	"styles/ddox.css", "prettify/prettify.css",
+	"images/ddox/alias.png", "images/ddox/class.png", "images/ddox/enum.png", "images/ddox/enummember.png",
+	"images/ddox/function.png", "images/ddox/inherited.png", "images/ddox/interface.png",
+	"images/ddox/module.png", "images/ddox/package.png", "images/ddox/private.png",
+	"images/ddox/property.png", "images/ddox/protected.png", "images/ddox/struct.png",
+	"images/ddox/template.png", "images/ddox/variable.png"
+];
+
+// the hashes of the cached pages, stored under a URL that the server does not have
+var cachedHashesUrl = self.registration.scope + "offline-hashes.json";
+var cachedHashes = null;
+
+var hashCheckInterval = 5 * 60 * 1000;
+var lastHashCheck = 0;
+var pendingHashCheck = null;
+
+self.addEventListener("install", function(e) {
+	e.waitUntil(Promise.all([precacheFiles(), updateCachedPages()]).then(function() { return self.skipWaiting(); }));
+});
+
+self.addEventListener("activate", function(e) {
+	e.waitUntil(caches.keys().then(function(names) {
+		var old = names.filter(function(name) {
+			return name != offlineCacheName && /^avro-docs-/.test(name) && name.substr(name.indexOf(" ") + 1) == self.registration.scope;
+		});
+		return Promise.all(old.map(function(name) { return caches.delete(name); }));
+	}).then(function() { return self.clients.claim(); }));
+});
+
+self.addEventListener("fetch", function(e) {
+	var scope = self.registration.scope;
+	var url = e.request.url.replace(/[?#].*$/, "");
+	if (e.request.method != "GET" || url.substr(0, scope.length) != scope) return;
+	// the API changes page compares with the hashes of the server
+	if (url == scope + "file_hashes.json") return;
+	if (url == scope) url += "index.html";
+
+	if (e.request.mode == "navigate" && Date.now() - lastHashCheck > hashCheckInterval)
+		e.waitUntil(updateCachedPages());
+
+	e.respondWith(caches.open(offlineCacheName).then(function(cache) {
+		return Promise.all([cache.match(url), loadCachedHashes(cache)]).then(function(res) {
+			var cached = res[0];
+			// pages with a hash are kept up to date by updateCachedPages
+			if (cached && res[1].hasOwnProperty(url.substr(scope.length))) return cached;
+			var update = updateCachedFile(cache, url);
+			if (!cached) return update;
+			e.waitUntil(update.catch(function() {}));
+			return cached;
+		});
+	}));
+});
+
+// Fetches a file, bypassing the HTTP cache, and stores it in cache if it was found.
+function updateCachedFile(cache, url)
+{
+	return fetch(url, {cache: "no-cache"}).then(function(response) {
+		if (!response.ok) return response;
+		return cache.put(url, response.clone()).then(function() { return response; });
+	});
+}
+
+function precacheFiles()
+{
+	return caches.open(offlineCacheName).then(function(cache) {
+		return Promise.all(offlineFiles.map(function(file) {
+			return updateCachedFile(cache, self.registration.scope + file).catch(function() {});
+		}));
+	});
+}
+
+/**
+	Fetches a hash list of the server, bypassing the HTTP cache. A missing
+	optional list counts as empty.
+*/
+function fetchServerHashes(file, optional)
+{
+	return fetch(self.registration.scope + file, {cache: "no-cache"}).then(function(response) {
+		if (optional && response.status == 404) return {};
+		if (!response.ok) throw new Error(file + ": " + response.status);
+		// DDOX writes file_hashes.json with a byte order mark
+		return response.text().then(function(text) { return JSON.parse(text.replace(/^\uFEFF/, "")); });
+	});
+}
+
+function loadCachedHashes(cache)
+{
+	if (cachedHashes !== null) return Promise.resolve(cachedHashes);
+	return cache.match(cachedHashesUrl)
+		.then(function(response) { return response ? response.json() : {}; })
+		.then(function(hashes) { return cachedHashes = hashes; });
+}
+
+/**
+	Compares file_hashes.json and index-hashes.json with the hashes of the
+	cached pages, downloads the new and changed pages and removes the pages
+	that no longer exist. A page that cannot be downloaded keeps its old
+	hash, if any, so that it is tried again on the next check. Without
+	network, the cache is left as is.
+*/
+function updateCachedPages()
+{
+	if (pendingHashCheck !== null) return pendingHashCheck;
+	lastHashCheck = Date.now();
+	var scope = self.registration.scope;
+
+	pendingHashCheck = caches.open(offlineCacheName).then(function(cache) {
+		var serverHashes = Promise.all([fetchServerHashes("file_hashes.json", false), fetchServerHashes("index-hashes.json", true)])
+			.then(function(lists) {
+				Object.keys(lists[1]).forEach(function(file) { lists[0][file] = lists[1][file]; });
+				return lists[0];
+			});
+		return Promise.all([serverHashes, loadCachedHashes(cache)]).then(function(res) {
+			var hashes = res[0], oldHashes = res[1];
+			var stored = {};
+			var updates = Object.keys(hashes).map(function(page) {
+				if (oldHashes.hasOwnProperty(page) && oldHashes[page].toLowerCase() == hashes[page].toLowerCase()) {
+					stored[page] = hashes[page];
+					return null;
+				}
+				return updateCachedFile(cache, scope + page).then(function(response) {
+					if (!response.ok && response.status != 404) throw new Error(page + ": " + response.status);
+					stored[page] = hashes[page];
+					// a listed page that the server does not have is not asked for again until its hash changes
+					if (!response.ok) return cache.delete(scope + page);
+				}).catch(function() {
+					if (oldHashes.hasOwnProperty(page)) stored[page] = oldHashes[page];
+				});
+			});
+			var removals = Object.keys(oldHashes).filter(function(page) { return !hashes.hasOwnProperty(page); })
+				.map(function(page) { return cache.delete(scope + page); });
+			return Promise.all(updates.concat(removals)).then(function() {
+				cachedHashes = stored;
+				return cache.put(cachedHashesUrl, new Response(JSON.stringify(stored), {headers: {"Content-Type": "application/json"}}));
+			});
+		});
+	}).catch(function() {}).then(function() { pendingHashCheck = null; });
+	return pendingHashCheck;
+}
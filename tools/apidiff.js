@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+	Reports the API changes between two documentation builds: the added and
+	removed symbols, the symbols whose kind or attributes changed and the
+	pages whose content changed.
+
+	Usage: node tools/apidiff.js [--json] <old build> <new build>
+
+	A build is a documentation directory, or a git revision followed by the
+	path of the directory, as in "v0.2.0:docs". The report is written as
+	Markdown, or with --json as returned by diffApiBuilds in
+	docs/scripts/apidiff.js. Like diff, the tool exits with 1 if the builds
+	differ and with 2 on errors.
+*/
+var fs = require("fs");
+var path = require("path");
+var childProcess = require("child_process");
+var apidiff = require("../docs/scripts/apidiff.js");
+
+// Reads a file of a build, returning null if it does not exist.
+function readBuildFile(build, name)
+{
+	var m = /^([^:]{2,}):(.*)$/.exec(build);
+	if (m && !fs.existsSync(build)) {
+		try {
+			return childProcess.execFileSync("git", ["show", m[1] + ":./" + path.posix.join(m[2], name)],
+				{encoding: "utf8", stdio: ["ignore", "pipe", "ignore"]});
+		} catch (e) {
+			return null;
+		}
+	}
+	var file = path.join(build, name);
+	return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+}
+
+function loadBuild(build)
+{
+	var symbols = readBuildFile(build, "symbols.js");
+	if (symbols === null) throw new Error("No symbols.js found in " + build);
+	var hashes = readBuildFile(build, "file_hashes.json");
+	if (hashes === null) console.error("No file_hashes.json found in " + build + ", the pages are not compared");
+	return {symbols: apidiff.parseSymbolsScript(symbols), hashes: hashes === null ? null : apidiff.parseFileHashes(hashes)};
+}
+
+function main(args)
+{
+	var json = args.indexOf("--json") >= 0;
+	args = args.filter(function(arg) { return arg != "--json"; });
+	if (args.length != 2) {
+		console.error("Usage: node tools/apidiff.js [--json] <old build> <new build>");
+		return 2;
+	}
+
+	var oldBuild, newBuild;
+	try {
+		oldBuild = loadBuild(args[0]);
+		newBuild = loadBuild(args[1]);
+	} catch (e) {
+		console.error(e.message);
+		return 2;
+	}
+
+	var diff = apidiff.diffApiBuilds(oldBuild, newBuild);
+	process.stdout.write(json ? JSON.stringify(diff, null, "\t") + "\n" : apidiff.formatApiDiff(diff, args[0], args[1]));
+	return apidiff.isEmptyApiDiff(diff) ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+	Makes the generated documentation usable offline, outside the browser.
+
+	Usage: node tools/avro-docs.js lookup [options] <search terms>
+	       node tools/avro-docs.js docset [--docs <dir>] [docset directory]
+
+	The lookup command searches the symbols, e.g. for editor integrations
+	that open the documentation of a symbol.
+
+	Options:
+		--kind <kind>      only symbols of a kind, e.g. function or class
+		--attr <attr>      only symbols with an attribute, e.g. abstract
+		--module <module>  only symbols declared in a module, e.g. decoder
+		--limit <n>        print at most n results (default 20, 0 for all)
+		--no-fulltext      do not search the documentation text
+		--docs <dir>       the documentation directory (default docs)
+		--json             print the results as JSON
+
+	The search terms and the qualifiers, such as "kind:class", are those of
+	the search box and the results are ranked the same way, by
+	docs/scripts/symbolsearch.js. Matches in the documentation text follow
+	the name matches if fulltext.js exists. The tool exits with 1 if nothing
+	was found and with 2 on errors.
+
+	The docset command writes a Dash or Zeal docset, avro-d.docset by
+	default, with a copy of the documentation and its search index as
+	searchIndex.json and searchIndex.tsv. The TSV has the columns of the
+	searchIndex table of docSet.dsidx, which can be created from it with
+	sqlite3 as shown by the command.
+*/
+var fs = require("fs");
+var path = require("path");
+var url = require("url");
+var ddoxpage = require("./ddoxpage");
+var symbolsearch = require("../docs/scripts/symbolsearch.js");
+
+var usage = "Usage: node tools/avro-docs.js lookup [--kind <kind>] [--attr <attr>] [--module <module>] [--limit <n>]"
+	+ " [--no-fulltext] [--docs <dir>] [--json] <search terms>\n"
+	+ "       node tools/avro-docs.js docset [--docs <dir>] [docset directory]";
+
+// the docset entry types of the symbol kinds; functions and variables of aggregates are further told apart
+var docsetEntryTypes = {
+	module: "Module",
+	classdeclaration: "Class",
+	interfacedeclaration: "Interface",
+	structdeclaration: "Struct",
+	uniondeclaration: "Union",
+	enumdeclaration: "Enum",
+	enummemberdeclaration: "Constant",
+	aliasdeclaration: "Type",
+	templatedeclaration: "Type",
+	functiondeclaration: "Function",
+	variabledeclaration: "Variable"
+};
+var aggregateKinds = ["classdeclaration", "interfacedeclaration", "structdeclaration", "uniondeclaration"];
+
+function parseArguments(args)
+{
+	var options = {terms: [], limit: 20, fulltext: true, docsDir: path.join(__dirname, "..", "docs"), json: false};
+	var qualifiers = {"--kind": "kind", "--attr": "attr", "--module": "module"};
+	for (var i = 0; i < args.length; i++) {
+		var arg = args[i];
+		if (qualifiers.hasOwnProperty(arg) || arg == "--limit" || arg == "--docs") {
+			if (i + 1 >= args.length) throw new Error(arg + " expects a value");
+			var value = args[++i];
+			if (arg == "--docs") options.docsDir = value;
+			else if (arg == "--limit") {
+				if (!/^[0-9]+$/.test(value)) throw new Error("--limit expects a number");
+				options.limit = parseInt(value, 10);
+			} else options.terms.push(qualifiers[arg] + ":" + value);
+		} else if (arg == "--no-fulltext") options.fulltext = false;
+		else if (arg == "--json") options.json = true;
+		else if (arg.substr(0, 2) == "--") throw new Error("Unknown option " + arg);
+		else options.terms.push(arg);
+	}
+	return options;
+}
+
+function lookup(args)
+{
+	var options = parseArguments(args);
+	var symbols = ddoxpage.loadSymbols(options.docsDir);
+	if (symbols === null) throw new Error("No symbols.js found in " + options.docsDir);
+	var index = symbolsearch.createSymbolSearchIndex(symbols, ddoxpage.loadScriptVariable(options.docsDir, "searchindex.js", "symbolSearchPostings"));
+	var fulltext = options.fulltext ? ddoxpage.loadScriptVariable(options.docsDir, "fulltext.js", "fulltext") : null;
+
+	var found = symbolsearch.searchSymbols(index, options.terms.join(" ").toLowerCase(), fulltext);
+	found.hints.forEach(function(hint) { console.error(hint); });
+	if (found.results === null) throw new Error("Enter a search term of at least two characters or a qualifier");
+
+	var results = options.limit > 0 ? found.results.slice(0, options.limit) : found.results;
+	results = results.map(function(res) {
+		var file = path.resolve(options.docsDir, res.path.replace(/#.*$/, ""));
+		var ret = {name: res.name, kind: res.kind, attributes: res.attributes, path: res.path.replace(/^\.\//, ""),
+			url: url.pathToFileURL(file).href + res.path.replace(/^[^#]*/, "")};
+		// the snippet highlights the matches with <b>, which is dropped here
+		if (res.snippet !== undefined) ret.excerpt = ddoxpage.decodeEntities(res.snippet.replace(/<\/?b>/g, ""));
+		return ret;
+	});
+
+	if (options.json) {
+		console.log(JSON.stringify(results, null, "\t"));
+	} else {
+		var kind = function(res) { return res.kind.replace(/declaration$/, ""); };
+		var namewidth = Math.max.apply(null, results.map(function(res) { return res.name.length; }).concat(0));
+		var kindwidth = Math.max.apply(null, results.map(function(res) { return kind(res).length; }).concat(0));
+		var pad = function(str, len) { return str + new Array(len - str.length + 1).join(" "); };
+		results.forEach(function(res, i) {
+			if (res.excerpt !== undefined && (i == 0 || results[i-1].excerpt === undefined)) console.log("Found in documentation:");
+			console.log(pad(res.name, namewidth) + "  " + pad(kind(res), kindwidth) + "  " + res.path
+				+ (res.attributes.length > 0 ? "  [" + res.attributes.join(", ") + "]" : ""));
+			if (res.excerpt !== undefined) console.log("    " + res.excerpt);
+		});
+		if (found.results.length > results.length)
+			console.log("\u2026" + (found.results.length - results.length) + " additional results, see --limit");
+	}
+	return results.length > 0 ? 0 : 1;
+}
+
+function getDocsetEntryType(sym, kindsByName)
+{
+	var member = aggregateKinds.indexOf(kindsByName[sym.name.substr(0, sym.name.lastIndexOf("."))]) >= 0;
+	if (member && sym.kind == "functiondeclaration") {
+		if (/\.this$/.test(sym.name)) return "Constructor";
+		return sym.attributes.indexOf("property") >= 0 ? "Property" : "Method";
+	}
+	if (member && sym.kind == "variabledeclaration") return "Field";
+	return docsetEntryTypes.hasOwnProperty(sym.kind) ? docsetEntryTypes[sym.kind] : "Entry";
+}
+
+/**
+	Returns the docset index entries of the symbols, {name, type, path}. The
+	names are relative to the module, as in "Decoder.readInt", except for
+	the modules themselves. Overloads share a page and get a single entry.
+*/
+function getDocsetEntries(symbols)
+{
+	var kindsByName = {};
+	symbols.forEach(function(sym) { kindsByName[sym.name] = sym.kind; });
+	var entries = [], seen = {};
+	symbols.forEach(function(sym) {
+		var page = sym.path.replace(/^\.\//, "");
+		var name = sym.name;
+		var mod = page.substr(0, page.lastIndexOf("/")).replace(/\//g, ".") + ".";
+		if (sym.kind != "module" && name.substr(0, mod.length) == mod) name = name.substr(mod.length);
+		var entry = {name: name, type: getDocsetEntryType(sym, kindsByName), path: page};
+		var key = [entry.name, entry.type, entry.path].join("\t");
+		if (seen.hasOwnProperty(key)) return;
+		seen[key] = true;
+		entries.push(entry);
+	});
+	return entries;
+}
+
+function exportDocset(args)
+{
+	var docsDir = path.join(__dirname, "..", "docs");
+	if (args.length >= 2 && args[0] == "--docs") {
+		docsDir = args[1];
+		args = args.slice(2);
+	}
+	if (args.length > 1 || (args.length == 1 && args[0].substr(0, 2) == "--")) throw new Error(usage);
+	var docset = args.length > 0 ? args[0] : "avro-d.docset";
+	var symbols = ddoxpage.loadSymbols(docsDir);
+	if (symbols === null) throw new Error("No symbols.js found in " + docsDir);
+
+	var contents = path.join(docset, "Contents");
+	var resources = path.join(contents, "Resources");
+	fs.rmSync(contents, {recursive: true, force: true});
+	fs.mkdirSync(resources, {recursive: true});
+	fs.cpSync(docsDir, path.join(resources, "Documents"), {recursive: true});
+	fs.writeFileSync(path.join(contents, "Info.plist"), [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+		'<plist version="1.0">',
+		'<dict>',
+		'\t<key>CFBundleIdentifier</key><string>avro-d</string>',
+		'\t<key>CFBundleName</key><string>avro-d</string>',
+		'\t<key>DocSetPlatformFamily</key><string>avro</string>',
+		'\t<key>dashIndexFilePath</key><string>index.html</string>',
+		'\t<key>isDashDocset</key><true/>',
+		'\t<key>isJavaScriptEnabled</key><true/>',
+		'</dict>',
+		'</plist>', ""].join("\n"));
+
+	var entries = getDocsetEntries(symbols);
+	fs.writeFileSync(path.join(resources, "searchIndex.json"), JSON.stringify(entries, null, "\t") + "\n");
+	fs.writeFileSync(path.join(resources, "searchIndex.tsv"), entries.map(function(entry, i) {
+		return [i + 1, entry.name, entry.type, entry.path].join("\t") + "\n";
+	}).join(""));
+
+	console.log("Wrote " + entries.length + " entries to " + docset + ". To create docSet.dsidx, run");
+	console.log('sqlite3 "' + path.join(resources, "docSet.dsidx") + '"'
+		+ ' "CREATE TABLE searchIndex(id INTEGER PRIMARY KEY, name TEXT, type TEXT, path TEXT);'
+		+ ' CREATE UNIQUE INDEX anchor ON searchIndex (name, type, path);"'
+		+ ' ".mode tabs" ".import \'' + path.join(resources, "searchIndex.tsv") + '\' searchIndex"');
+	return 0;
+}
+
+function main(args)
+{
+	var commands = {lookup: lookup, docset: exportDocset};
+	if (args.length == 0 || !commands.hasOwnProperty(args[0])) {
+		console.error(usage);
+		return 2;
+	}
+	try {
+		return commands[args[0]](args.slice(1));
+	} catch (e) {
+		console.error(e.message);
+		return 2;
+	}
+}
+
+process.exitCode = main(process.argv.slice(2));
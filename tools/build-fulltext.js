@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+	Generates docs/fulltext.js, the full-text index used by the symbol search.
+
+	Usage: node tools/build-fulltext.js [docs directory]
+
+	For every symbol of symbols.js, the summary, the parameter names and the
+	prose of its documentation page are collected. Run this after regenerating
+	the documentation.
+*/
+var fs = require("fs");
+var path = require("path");
+var ddoxpage = require("./ddoxpage");
+
+function buildEntry(docsDir, sym, pages)
+{
+	var file = sym.path.replace(/^\.\//, "").replace(/#.*$/, "");
+	if (!pages.hasOwnProperty(file)) {
+		var fullpath = path.join(docsDir, file);
+		pages[file] = fs.existsSync(fullpath) ? ddoxpage.getMainContents(fs.readFileSync(fullpath, "utf8")) : null;
+	}
+	var contents = pages[file];
+	if (contents === null) return null;
+
+	// enum members share the page of their enum and are described in its member table
+	var anchor = sym.path.indexOf("#");
+	if (anchor >= 0) {
+		var description = ddoxpage.getTableEntry(contents, sym.path.substr(anchor + 1));
+		return description.length > 0 ? {name: sym.name, summary: description, params: [], text: ""} : null;
+	}
+
+	var paragraphs = ddoxpage.getParagraphs(contents);
+	var params = [];
+	var text = paragraphs.slice(1);
+	ddoxpage.getPrototypes(contents).forEach(function(proto) {
+		ddoxpage.getPrototypeParameters(proto).forEach(function(name) {
+			if (params.indexOf(name) < 0) params.push(name);
+		});
+	});
+	ddoxpage.getParameters(contents).forEach(function(param) {
+		if (params.indexOf(param.name) < 0) params.push(param.name);
+		text.push(param.name + ": " + param.description);
+	});
+
+	return {name: sym.name, summary: paragraphs.length > 0 ? paragraphs[0] : "", params: params, text: text.join(" ")};
+}
+
+function main(args)
+{
+	var docsDir = args.length > 0 ? args[0] : path.join(__dirname, "..", "docs");
+	var symbols = ddoxpage.loadSymbols(docsDir);
+	var pages = {};
+
+	var lines = ["// full-text index generated by tools/build-fulltext.js - do not edit", "var fulltext = ["];
+	symbols.forEach(function(sym) {
+		var entry = buildEntry(docsDir, sym, pages);
+		if (entry) lines.push(JSON.stringify(entry) + ",");
+	});
+	lines.push("];", "");
+
+	fs.writeFileSync(path.join(docsDir, "fulltext.js"), lines.join("\n"));
+	console.log("Wrote " + (lines.length - 4) + " entries to " + path.join(docsDir, "fulltext.js"));
+}
+
+main(process.argv.slice(2));
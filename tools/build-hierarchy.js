@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+	Generates docs/classhierarchy.js, the class hierarchy shown on hierarchy.html.
+
+	Usage: node tools/build-hierarchy.js [docs directory] [source directory]
+
+	For every class and interface of symbols.js, the base classes and the
+	methods declared by the class are collected. DDOX omits the base classes of
+	templated classes and lists only documented methods, so the D sources are
+	scanned in addition to the generated pages.
+*/
+var fs = require("fs");
+var path = require("path");
+var ddoxpage = require("./ddoxpage");
+
+// Replaces comments and string literals by spaces, so that their braces and parentheses are ignored.
+function stripComments(src)
+{
+	return src.replace(/\/\/[^\n]*|\/\*[\s\S]*?\*\/|\/\+[\s\S]*?\+\/|"(?:\\[\s\S]|[^"\\])*"|`[^`]*`|'(?:\\.|[^'\\])'/g, function(m) {
+		return m.replace(/[^\n]/g, " ");
+	});
+}
+
+// Returns the index of the parenthesis or brace closing the one at index start.
+function findClosing(src, start)
+{
+	var open = src.charAt(start), close = open == "(" ? ")" : "}";
+	var depth = 0;
+	for (var i = start; i < src.length; i++) {
+		var c = src.charAt(i);
+		if (c == open) depth++;
+		else if (c == close && --depth == 0) return i;
+	}
+	return src.length;
+}
+
+// Splits a list at the commas that are not nested in parentheses.
+function splitTopLevel(list)
+{
+	var ret = [], depth = 0, start = 0;
+	for (var i = 0; i < list.length; i++) {
+		var c = list.charAt(i);
+		if (c == "(") depth++;
+		else if (c == ")") depth--;
+		else if (c == "," && depth == 0) {
+			ret.push(list.substring(start, i));
+			start = i + 1;
+		}
+	}
+	ret.push(list.substring(start));
+	return ret.map(function(s) { return s.trim(); }).filter(function(s) { return s.length > 0; });
+}
+
+var typeConstructors = ["const", "immutable", "shared", "inout", "scope"];
+var nonMethodKeywords = ["if", "while", "for", "foreach", "foreach_reverse", "switch", "with", "version", "debug", "static", "unittest", "invariant", "mixin", "enum", "return"];
+
+/**
+	Returns the methods declared directly in a class body, with the "abstract"
+	and "override" attributes that are given in their declaration.
+*/
+function scanMethods(body)
+{
+	var methods = [];
+	var header = "";
+	for (var i = 0; i < body.length; i++) {
+		var c = body.charAt(i);
+		if (c != "{" && c != ";" && c != "}") {
+			header += c;
+			if (c == ":" && /^\s*(public|protected|private|package|export|override|abstract|final|@\w+)\s*:$/.test(header))
+				header = "";
+			continue;
+		}
+
+		var decl = header.trim();
+		header = "";
+		if (c == "{") i = findClosing(body, i);
+
+		// the method name precedes the first parenthesis that does not belong to a type
+		var paren = -1, m = null;
+		while ((paren = decl.indexOf("(", paren + 1)) >= 0) {
+			m = /(~?\w+)\s*$/.exec(decl.substr(0, paren));
+			if (m && typeConstructors.indexOf(m[1]) < 0) break;
+			m = null;
+		}
+		if (!m) continue;
+		var words = decl.substr(0, paren - m[0].length).split(/\s+/);
+		if (nonMethodKeywords.indexOf(m[1]) >= 0 || nonMethodKeywords.indexOf(words[0]) >= 0) continue;
+		if (words.indexOf("private") >= 0 || decl.substr(0, paren).indexOf("=") >= 0) continue;
+
+		var attributes = [];
+		if (words.indexOf("abstract") >= 0) attributes.push("abstract");
+		if (words.indexOf("override") >= 0) attributes.push("override");
+		methods.push({name: m[1], attributes: attributes});
+	}
+	return methods;
+}
+
+/**
+	Finds the declaration of a class or interface in a D module and returns
+	the names of its base classes and its methods, or null if not found.
+*/
+function scanClass(src, name)
+{
+	var re = new RegExp("\\b(class|interface)\\s+" + name + "\\b", "g"), m;
+	while ((m = re.exec(src)) !== null) {
+		var i = m.index + m[0].length;
+		while (/\s/.test(src.charAt(i))) i++;
+		if (src.charAt(i) == "(") i = findClosing(src, i) + 1;
+
+		var bodystart = src.indexOf("{", i);
+		var semicolon = src.indexOf(";", i);
+		if (bodystart < 0 || (semicolon >= 0 && semicolon < bodystart)) continue;
+
+		var bases = [];
+		var header = src.substring(i, bodystart).replace(/\bif\s*\([\s\S]*$/, "").trim();
+		if (header.charAt(0) == ":")
+			bases = splitTopLevel(header.substr(1)).map(function(b) { return b.replace(/!.*$/, ""); });
+
+		return {bases: bases, methods: scanMethods(src.substring(bodystart + 1, findClosing(src, bodystart)))};
+	}
+	return null;
+}
+
+// Returns the names of the base classes that the prototype on a class page links to.
+function getDocumentedBases(docsDir, sym, bypath)
+{
+	var file = path.join(docsDir, sym.path.replace(/^\.\//, ""));
+	if (!fs.existsSync(file)) return [];
+	var prototypes = ddoxpage.getPrototypes(ddoxpage.getMainContents(fs.readFileSync(file, "utf8")));
+	if (prototypes.length == 0) return [];
+
+	var bases = [];
+	var re = /<br>&nbsp;&nbsp;: ([\s\S]*?)<span class="pun">;<\/span>/.exec(prototypes[0]);
+	if (!re) return [];
+	splitTopLevel(re[1]).forEach(function(base) {
+		var link = /href="([^"]*)"/.exec(base);
+		var target = link ? bypath[path.normalize(path.join(path.dirname(sym.path), link[1]))] : null;
+		bases.push(target ? target.name : ddoxpage.stripTags(base).replace(/\s*\.\s*/g, "."));
+	});
+	return bases;
+}
+
+// Resolves a base class name found in the sources to a fully qualified symbol name.
+function resolveClass(name, module, classes)
+{
+	var candidates = classes.filter(function(c) { return c.name.split(".").pop() == name; });
+	var local = candidates.filter(function(c) { return c.name == module + "." + name; });
+	if (local.length > 0) return local[0].name;
+	return candidates.length == 1 ? candidates[0].name : name;
+}
+
+function main(args)
+{
+	var docsDir = args.length > 0 ? args[0] : path.join(__dirname, "..", "docs");
+	var sourceDir = args.length > 1 ? args[1] : path.join(__dirname, "..", "source");
+	var symbols = ddoxpage.loadSymbols(docsDir);
+
+	var bypath = {};
+	symbols.forEach(function(sym) { bypath[path.normalize(sym.path)] = sym; });
+
+	var classes = symbols.filter(function(sym) {
+		return sym.kind == "classdeclaration" || sym.kind == "interfacedeclaration";
+	});
+
+	var lines = ["// class hierarchy generated by tools/build-hierarchy.js - do not edit", "var classHierarchy = ["];
+	classes.forEach(function(sym) {
+		var parts = sym.name.split(".");
+		var shortname = parts.pop();
+		var module = parts.join(".");
+
+		var scanned = null;
+		var file = path.join(sourceDir, parts.join(path.sep) + ".d");
+		if (fs.existsSync(file)) scanned = scanClass(stripComments(fs.readFileSync(file, "utf8")), shortname);
+
+		var bases = getDocumentedBases(docsDir, sym, bypath);
+		if (bases.length == 0 && scanned)
+			bases = scanned.bases.map(function(b) { return resolveClass(b, module, classes); });
+
+		// documented methods first, completed by the ones found in the sources
+		var methods = [];
+		symbols.forEach(function(member) {
+			if (member.kind != "functiondeclaration" || member.name.lastIndexOf(".") != sym.name.length
+				|| member.name.substr(0, sym.name.length) != sym.name) return;
+			methods.push({name: member.name.substr(sym.name.length + 1), attributes: member.attributes.filter(function(a) {
+				return a == "abstract" || a == "override";
+			})});
+		});
+		if (scanned) scanned.methods.forEach(function(method) {
+			var existing = methods.filter(function(m) { return m.name == method.name; });
+			if (existing.length == 0) methods.push(method);
+			else method.attributes.forEach(function(a) {
+				if (existing[0].attributes.indexOf(a) < 0) existing[0].attributes.push(a);
+			});
+		});
+
+		lines.push(JSON.stringify({name: sym.name, kind: sym.kind, path: sym.path, bases: bases, methods: methods}) + ",");
+	});
+	lines.push("];", "");
+
+	fs.writeFileSync(path.join(docsDir, "classhierarchy.js"), lines.join("\n"));
+	console.log("Wrote " + classes.length + " classes to " + path.join(docsDir, "classhierarchy.js"));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+	Adds the hand-written overview pages to the documentation generated by
+	DDOX. Run this after regenerating the documentation, which overwrites
+	index.html and leaves the other pages with an outdated navigation tree.
+
+	Usage: node tools/build-pages.js [docs directory]
+
+	The tool writes the "Overviews" table of index.html from overviewPages,
+	copies the navigation tree of index.html to the hand-written pages and
+	records the new hash of index.html in file_hashes.json, which the offline
+	cache of serviceworker.js relies on. The hashes of the indexes generated
+	by the other tools go to index-hashes.json, so that the offline cache
+	replaces them together with symbols.js without the indexes counting as
+	pages of the build. Run it after those tools; running it again changes
+	nothing.
+*/
+var fs = require("fs");
+var path = require("path");
+var crypto = require("crypto");
+
+// the rows of the "Overviews" table of index.html
+var overviewPages = [
+	{page: "hierarchy.html", title: "Class hierarchy",
+		description: "Inheritance graph of the classes and the methods each implementation overrides."},
+	{page: "playground.html", title: "Schema playground",
+		description: "Validates a schema with the rules of the parser and shows the resolved schema as a tree."},
+	{page: "encoding.html", title: "Encoding visualizer",
+		description: "Shows the binary encoding of a datum as annotated hex and decodes hex back into a datum."},
+	{page: "apichanges.html", title: "API changes",
+		description: "Lists the symbols, attributes and pages that changed between two builds of this documentation."}
+];
+
+// the pages that are not generated by DDOX, but share its navigation tree
+var handWrittenPages = overviewPages.map(function(overview) { return overview.page; }).concat(["search.html"]);
+
+// the indexes written by build-fulltext.js, build-searchindex.js and build-hierarchy.js
+var generatedIndexes = ["fulltext.js", "searchindex.js", "classhierarchy.js"];
+
+function formatOverviews()
+{
+	var lines = ["\t\t\t<h2>Overviews</h2>", "\t\t\t<table>", "\t\t\t\t<col class=\"caption\"/>", "\t\t\t\t<tr>",
+		"\t\t\t\t\t<th>Page</th><th>Description</th>", "\t\t\t\t</tr>"];
+	overviewPages.forEach(function(overview) {
+		lines.push("\t\t\t<tr>", "\t\t\t\t<td>", "\t\t\t\t\t<a href=\"./" + overview.page + "\">" + overview.title + "</a>",
+			"\t\t\t\t</td>", "\t\t\t\t<td>", "\t\t\t\t\t" + overview.description, "\t\t\t\t</td>", "\t\t\t</tr>");
+	});
+	lines.push("\t\t\t</table>", "");
+	return lines.join("\n");
+}
+
+// Returns the navigation tree of a page, from the first <ul class="tree-view"> up to </nav>.
+function getNavigationTree(html, file)
+{
+	var start = html.indexOf('<ul class="tree-view">');
+	var end = html.indexOf("</nav>", start);
+	if (start < 0 || end < 0) throw new Error("No navigation tree found in " + file);
+	return {start: start, end: end};
+}
+
+// Returns the MD5 hash of a file in the upper case notation of DDOX.
+function getFileHash(file)
+{
+	return crypto.createHash("md5").update(fs.readFileSync(file)).digest("hex").toUpperCase();
+}
+
+function main(args)
+{
+	var docsDir = args.length > 0 ? args[0] : path.join(__dirname, "..", "docs");
+	var indexFile = path.join(docsDir, "index.html");
+
+	var index = fs.readFileSync(indexFile, "utf8");
+	index = index.replace(/\t*<h2>Overviews<\/h2>[\s\S]*?<\/table>\n/, "");
+	var footer = index.lastIndexOf("\t\t\t<footer>");
+	if (footer < 0) throw new Error("No footer found in " + indexFile);
+	index = index.substr(0, footer) + formatOverviews() + index.substr(footer);
+	fs.writeFileSync(indexFile, index);
+
+	var range = getNavigationTree(index, indexFile);
+	var tree = index.substring(range.start, range.end);
+	handWrittenPages.forEach(function(page) {
+		var file = path.join(docsDir, page);
+		var html = fs.readFileSync(file, "utf8");
+		var pageRange = getNavigationTree(html, file);
+		fs.writeFileSync(file, html.substr(0, pageRange.start) + tree + html.substr(pageRange.end));
+	});
+
+	// DDOX writes the hashes with a byte order mark and without a line break
+	var hashesFile = path.join(docsDir, "file_hashes.json");
+	var hashes = JSON.parse(fs.readFileSync(hashesFile, "utf8").replace(/^\uFEFF/, ""));
+	hashes["index.html"] = getFileHash(indexFile);
+	var indexHashes = {};
+	generatedIndexes.forEach(function(file) {
+		var fullpath = path.join(docsDir, file);
+		if (fs.existsSync(fullpath)) indexHashes[file] = getFileHash(fullpath);
+		delete hashes[file];
+	});
+	fs.writeFileSync(hashesFile, "\uFEFF" + JSON.stringify(hashes));
+	fs.writeFileSync(path.join(docsDir, "index-hashes.json"), JSON.stringify(indexHashes, null, "\t") + "\n");
+
+	console.log("Wrote " + overviewPages.length + " overviews to " + indexFile + " and the navigation tree to "
+		+ handWrittenPages.length + " pages");
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+	Generates docs/searchindex.js, the trigram and prefix postings used by the
+	symbol search worker.
+
+	Usage: node tools/build-searchindex.js [docs directory]
+
+	The postings refer to the symbols by their position in symbols.js, so run
+	this after regenerating the documentation. The worker builds the postings
+	itself if the file is missing or belongs to a different symbols.js.
+*/
+var fs = require("fs");
+var path = require("path");
+var ddoxpage = require("./ddoxpage");
+var symbolsearch = require("../docs/scripts/symbolsearch.js");
+
+function main(args)
+{
+	var docsDir = args.length > 0 ? args[0] : path.join(__dirname, "..", "docs");
+	var postings = symbolsearch.buildSymbolSearchPostings(ddoxpage.loadSymbols(docsDir));
+
+	var lines = ["// symbol search postings generated by tools/build-searchindex.js - do not edit",
+		"var symbolSearchPostings = " + JSON.stringify(postings) + ";", ""];
+	fs.writeFileSync(path.join(docsDir, "searchindex.js"), lines.join("\n"));
+	console.log("Wrote " + Object.keys(postings.trigrams).length + " trigrams of " + postings.count + " symbols to "
+		+ path.join(docsDir, "searchindex.js"));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+	Checks that the page list of the API diff of docs/scripts/apidiff.js
+	holds only HTML pages, so that symbols.js, sitemap.xml and the indexes
+	generated by the tools do not show up in the upgrade notes.
+
+	Usage: node tools/check-apidiff.js [<old build> [<new build>]]
+
+	Without builds, only fixed hash lists are compared. With an old build,
+	e.g. "v0.2.0:docs", tools/apidiff.js also compares it with the new build,
+	docs by default. Prints the failed cases and exits with 1 if there are
+	any.
+*/
+var assert = require("assert");
+var path = require("path");
+var childProcess = require("child_process");
+var apidiff = require("../docs/scripts/apidiff.js");
+
+// Returns the pages of a diff in one list, each prefixed with the change.
+function listPages(diff)
+{
+	return ["added", "removed", "changed"].reduce(function(list, change) {
+		return list.concat(diff.pages[change].map(function(page) { return change + " " + page; }));
+	}, []);
+}
+
+var cases = [
+	{name: "only HTML pages are compared", check: function() {
+		var oldBuild = {symbols: [], hashes: {"index.html": "AA", "old.html": "BB", "symbols.js": "CC", "sitemap.xml": "DD"}};
+		var newBuild = {symbols: [], hashes: {"index.html": "AB", "new.html": "BC", "symbols.js": "CD", "sitemap.xml": "DE",
+			"fulltext.js": "EF"}};
+		assert.deepStrictEqual(listPages(apidiff.diffApiBuilds(oldBuild, newBuild)), ["added new.html", "removed old.html", "changed index.html"]);
+	}},
+	{name: "changed indexes are no change", check: function() {
+		var oldBuild = {symbols: [], hashes: {"index.html": "AA", "symbols.js": "CC"}};
+		var newBuild = {symbols: [], hashes: {"index.html": "aa", "symbols.js": "CD", "searchindex.js": "EF"}};
+		assert.ok(apidiff.isEmptyApiDiff(apidiff.diffApiBuilds(oldBuild, newBuild)));
+	}}
+];
+
+function main(args)
+{
+	if (args.length > 0) {
+		var oldBuild = args[0], newBuild = args.length > 1 ? args[1] : "docs";
+		cases.push({name: "pages from " + oldBuild + " to " + newBuild, check: function() {
+			var res = childProcess.spawnSync(process.execPath, [path.join(__dirname, "apidiff.js"), "--json", oldBuild, newBuild],
+				{encoding: "utf8"});
+			if (res.status != 0 && res.status != 1) throw new Error(res.stderr.trim());
+			var diff = JSON.parse(res.stdout);
+			assert.notStrictEqual(diff.pages, null, "the builds have no file_hashes.json");
+			var other = listPages(diff).filter(function(page) { return !/\.html$/.test(page); });
+			assert.deepStrictEqual(other, []);
+		}});
+	}
+
+	var failures = [];
+	cases.forEach(function(c) {
+		try {
+			c.check();
+		} catch (e) {
+			failures.push(c.name + ": " + e.message);
+		}
+	});
+	failures.forEach(function(failure) { console.log("FAILED " + failure); });
+	console.log((cases.length - failures.length) + " of " + cases.length + " API diff cases passed");
+	return failures.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+	Checks that docs/scripts/avrocodec.js, the codecs of the encoding
+	visualizer, write and read the same bytes as the D codecs. The byte
+	vectors are those of the unittests of avro.codec.binaryencoder and
+	avro.codec.binarydecoder; datums of each kind are also written and read
+	back through the generic reader and writer.
+
+	Usage: node tools/check-avrocodec.js
+
+	Prints the failed cases and exits with 1 if there are any.
+*/
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+// The codecs use the schemas and errors of schemaparser.js, so both are run in one context, as on the page.
+var codec = vm.createContext({});
+["schemaparser.js", "avrocodec.js"].forEach(function(file) {
+	var fullpath = path.join(__dirname, "..", "docs", "scripts", file);
+	vm.runInContext(fs.readFileSync(fullpath, "utf8"), codec, {filename: fullpath});
+});
+
+// Returns the bytes written by write, as hex like formatHexBytes.
+function encode(write)
+{
+	var e = codec.createBinaryEncoder();
+	write(e);
+	return codec.formatHexBytes(e.bytes);
+}
+
+function decoder(hex)
+{
+	return codec.createBinaryDecoder(hex.split(" ").map(function(b) { return parseInt(b, 16); }));
+}
+
+function parseSchema(schema)
+{
+	return codec.parseAvroSchema(JSON.stringify(schema));
+}
+
+/**
+	Reads a datum from JSON, writes it in the binary encoding and reads it
+	back. Returns the bytes and the datum read back, written as JSON.
+*/
+function roundTrip(schema, json)
+{
+	schema = parseSchema(schema);
+	var e = codec.createBinaryEncoder();
+	codec.writeAvroDatum(codec.readAvroDatum(codec.createJsonDecoder(json), schema, ""), e, "");
+	var d = codec.createBinaryDecoder(e.bytes);
+	var datum = codec.readAvroDatum(d, schema, "");
+	assert.strictEqual(d.pos, e.bytes.length, "not all bytes were read back");
+	var jsonEncoder = codec.createJsonEncoder();
+	codec.writeAvroDatum(datum, jsonEncoder, "");
+	return {hex: codec.formatHexBytes(e.bytes), json: jsonEncoder.text};
+}
+
+var cases = [
+	// avro.codec.binaryencoder
+	{name: "writeNull", check: function() {
+		assert.strictEqual(encode(function(e) { e.writeNull(); e.writeNull(); }), "");
+	}},
+	{name: "writeInt", check: function() {
+		assert.strictEqual(encode(function(e) { e.writeInt(-2); }), "03");
+		assert.strictEqual(encode(function(e) { e.writeInt(2147483647); }), "fe ff ff ff 0f");
+	}},
+	{name: "writeLong", check: function() {
+		assert.strictEqual(encode(function(e) { e.writeLong(BigInt("9223372036854775807")); }), "fe ff ff ff ff ff ff ff ff 01");
+		assert.strictEqual(encode(function(e) { e.writeLong(BigInt("-9223372036854775808")); }), "ff ff ff ff ff ff ff ff ff 01");
+	}},
+	{name: "writeFloat", check: function() {
+		assert.strictEqual(encode(function(e) { e.writeFloat(23.2131); }), "6e b4 b9 41");
+		assert.strictEqual(encode(function(e) { e.writeFloat(-76.8129); }), "34 a0 99 c2");
+	}},
+	{name: "writeDouble", check: function() {
+		assert.strictEqual(encode(function(e) { e.writeDouble(8329242423.24324); }), "50 e4 73 73 62 07 ff 41");
+	}},
+	{name: "writeString", check: function() {
+		assert.strictEqual(encode(function(e) { e.writeString("Gr\u00fc\u00dfen"); }), "10 47 72 c3 bc c3 9f 65 6e");
+	}},
+	{name: "writeBytes", check: function() {
+		assert.strictEqual(encode(function(e) { e.writeBytes([0x04, 0x05]); e.writeBytes([0x01, 0x02, 0x03, 0x04, 0x05]); }),
+			"04 04 05 0a 01 02 03 04 05");
+	}},
+	{name: "writeEnum", check: function() {
+		assert.strictEqual(encode(function(e) { e.writeEnum(0, "ham"); e.writeEnum(3, "bird"); }), "00 06");
+	}},
+	{name: "writeArrayStart", check: function() {
+		assert.strictEqual(encode(function(e) {
+			e.writeArrayStart();
+			e.setItemCount(2);
+			e.startItem();
+			e.writeLong(5);
+			e.writeBoolean(true);
+			e.startItem();
+			e.writeLong(-8);
+			e.writeBoolean(false);
+			e.writeArrayEnd();
+		}), "04 0a 01 0f 00 00");
+	}},
+	{name: "writeMapStart", check: function() {
+		assert.strictEqual(encode(function(e) {
+			e.writeMapStart();
+			e.setItemCount(2);
+			e.startItem();
+			e.writeString("ham");
+			e.writeLong(3);
+			e.writeBoolean(true);
+			e.startItem();
+			e.writeString("cat");
+			e.writeLong(-3);
+			e.writeBoolean(false);
+			e.writeMapEnd();
+		}), "04 06 68 61 6d 06 01 06 63 61 74 05 00 00");
+	}},
+
+	// avro.codec.binarydecoder
+	{name: "readBoolean", check: function() {
+		var d = decoder("00 01 02");
+		assert.strictEqual(d.readBoolean(), false);
+		assert.strictEqual(d.readBoolean(), true);
+		assert.throws(function() { d.readBoolean(); }, {name: "ConvOverflowException"});
+	}},
+	{name: "readInt", check: function() {
+		var d = decoder("03 fe ff ff ff 0f");
+		assert.strictEqual(d.readInt(), -2);
+		assert.strictEqual(d.readInt(), 2147483647);
+	}},
+	{name: "readLong", check: function() {
+		var d = decoder("fe ff ff ff ff ff ff ff ff 01 ff ff ff ff ff ff ff ff ff 01");
+		assert.strictEqual(d.readLong(), BigInt("9223372036854775807"));
+		assert.strictEqual(d.readLong(), BigInt("-9223372036854775808"));
+	}},
+	{name: "readFloat", check: function() {
+		var d = decoder("6e b4 b9 41 34 a0 99 c2");
+		assert.strictEqual(d.readFloat(), Math.fround(23.2131));
+		assert.strictEqual(d.readFloat(), Math.fround(-76.8129));
+	}},
+	{name: "readDouble", check: function() {
+		assert.strictEqual(decoder("50 e4 73 73 62 07 ff 41").readDouble(), 8329242423.24324);
+	}},
+	{name: "readString", check: function() {
+		assert.strictEqual(decoder("10 47 72 c3 bc c3 9f 65 6e").readString(), "Gr\u00fc\u00dfen");
+	}},
+	{name: "readBytes", check: function() {
+		assert.deepStrictEqual(decoder("0c 56 69 65 6c 65 6e").readBytes(), [0x56, 0x69, 0x65, 0x6c, 0x65, 0x6e]);
+	}},
+	{name: "readFixed", check: function() {
+		var d = decoder("0c 56 69 65 6c 65 6e");
+		assert.deepStrictEqual(d.readFixed(3), [0x0c, 0x56, 0x69]);
+		assert.deepStrictEqual(d.readFixed(3), [0x65, 0x6c, 0x65]);
+	}},
+	{name: "readArrayStart with a block size", check: function() {
+		var d = decoder("08 05 20 65");
+		assert.strictEqual(d.readArrayStart(), 4);
+		assert.strictEqual(d.readArrayStart(), 3);
+		assert.deepStrictEqual(d.readFixed(1), [0x65]);
+	}},
+
+	// avro.generic, written and read back
+	{name: "long datum", check: function() {
+		assert.deepStrictEqual(roundTrip("long", "-9223372036854775808"),
+			{hex: "ff ff ff ff ff ff ff ff ff 01", json: "-9223372036854775808"});
+		assert.deepStrictEqual(roundTrip("long", "4294967296"), {hex: "80 80 80 80 20", json: "4294967296"});
+	}},
+	{name: "map datum", check: function() {
+		var schema = {type: "map", values: {type: "record", name: "Item", fields: [{name: "l", type: "long"}, {name: "b", type: "boolean"}]}};
+		assert.deepStrictEqual(roundTrip(schema, '{"ham": {"l": 3, "b": true}, "cat": {"l": -3, "b": false}}'),
+			{hex: "04 06 68 61 6d 06 01 06 63 61 74 05 00 00", json: '{"ham": {"l": 3, "b": true}, "cat": {"l": -3, "b": false}}'});
+		assert.deepStrictEqual(roundTrip(schema, "{}"), {hex: "00", json: "{}"});
+	}},
+	{name: "union datum", check: function() {
+		assert.deepStrictEqual(roundTrip(["null", "string"], '{"string": "Gr\u00fc\u00dfen"}'),
+			{hex: "02 10 47 72 c3 bc c3 9f 65 6e", json: '{"string": "Gr\u00fc\u00dfen"}'});
+		assert.strictEqual(roundTrip(["null", "string"], "null").hex, "00");
+	}}
+];
+
+function main()
+{
+	var failures = [];
+	cases.forEach(function(c) {
+		try {
+			c.check();
+		} catch (e) {
+			failures.push(c.name + ": " + e.message);
+		}
+	});
+	failures.forEach(function(failure) { console.log("FAILED " + failure); });
+	console.log((cases.length - failures.length) + " of " + cases.length + " codec cases passed");
+	return failures.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+	Checks that docs/scripts/schemaparser.js, the parser of the schema
+	playground, accepts and rejects schemas like the D parser, with the same
+	exception classes and messages. The cases are those of the unittests of
+	avro.parser, avro.schema and avro.name.
+
+	Usage: node tools/check-schemaparser.js
+
+	Prints the failed cases and exits with 1 if there are any.
+*/
+var assert = require("assert");
+var schemaparser = require("../docs/scripts/schemaparser.js");
+
+// Returns the schema of a record with a single field, for checking the field rules.
+function fieldSchema(field)
+{
+	return JSON.stringify({type: "record", name: "R", fields: [field]});
+}
+
+// Schemas that must be parsed; check is passed the parsed schema.
+var validCases = [
+	{name: "record with unions (avro.parser)", schema: '{"namespace": "example.avro", "type": "record", "name": "User", "fields": ['
+		+ '{"name": "name", "type": "string"}, {"name": "favorite_number", "type": ["int", "null"]},'
+		+ '{"name": "favorite_color", "type": ["string", "null"]}]}',
+		check: function(schema) {
+			assert.strictEqual(schema.type, "record");
+			assert.strictEqual(schema.name, "User");
+			assert.strictEqual(schema.namespace, "example.avro");
+			assert.strictEqual(schema.fullname, "example.avro.User");
+			assert.deepStrictEqual(schema.fields.map(function(f) { return f.name; }), ["name", "favorite_number", "favorite_color"]);
+			assert.strictEqual(schema.fields[0].type.type, "string");
+			assert.deepStrictEqual(schema.fields[1].type.types.map(function(t) { return t.type; }), ["int", "null"]);
+		}},
+	{name: "recursive record (avro.parser)", schema: '{"namespace": "example.avro", "name": "Node", "type": "record", "fields": ['
+		+ '{"name": "value", "type": {"name": "Value", "type": "record", "fields": [{"name": "a", "type": "int"}]}},'
+		+ '{"name": "nextNode", "type": ["Node", "null"]}]}',
+		check: function(schema) {
+			assert.strictEqual(schema.fullname, "example.avro.Node");
+			assert.strictEqual(schema.fields[0].type.type, "record");
+			assert.strictEqual(schema.fields[0].type.fields.length, 1);
+			var union = schema.fields[1].type;
+			assert.strictEqual(union.type, "union");
+			assert.strictEqual(union.types[0], schema);
+			assert.strictEqual(union.types[1].type, "null");
+		}},
+	{name: "enum with default (avro.schema)", schema: '{"type": "enum", "namespace": "com.example", "name": "employment",'
+		+ ' "doc": "ham", "symbols": ["PART_TIME", "FULL_TIME"], "default": "FULL_TIME"}',
+		check: function(schema) {
+			assert.strictEqual(schema.fullname, "com.example.employment");
+			assert.deepStrictEqual(schema.symbols, ["PART_TIME", "FULL_TIME"]);
+			assert.strictEqual(schema.enumDefault, "FULL_TIME");
+		}},
+	{name: "names with digits and underscores (avro.name)", schema: '{"type": "fixed", "name": "_fish", "size": 4}',
+		check: function(schema) { assert.strictEqual(schema.fullname, "_fish"); }}
+];
+
+// Schemas that must be rejected with the exception class and message of the D parser.
+var invalidCases = [
+	{name: "duplicate field", schema: fieldSchema({name: "a", type: "int"}).replace("}]", '}, {"name": "a", "type": "long"}]'),
+		error: "AvroRuntimeException: Duplicate field a in record R"},
+	{name: "duplicate in union", schema: '["int", "string", "int"]',
+		error: "AvroRuntimeException: Duplicate in union: int"},
+	{name: "nested union", schema: '["int", ["string"]]',
+		error: /^AvroRuntimeException: Nested union: /},
+	{name: "unknown type", schema: '"Foo"',
+		error: 'SchemaParseException: Undefined name: "Foo"'},
+	{name: "unknown field type", schema: fieldSchema({name: "a", type: "Foo"}),
+		error: 'SchemaParseException: "Foo" is not a defined name. The type of the "a" field must be defined'
+			+ ' or a {"type": ... } expression.'},
+	{name: "unsupported type", schema: '{"type": "frob"}',
+		error: "SchemaParseException: Type not supported: frob"},
+	{name: "missing name", schema: '{"type": "record", "fields": []}',
+		error: /^SchemaParseException: No name in schema: /},
+	{name: "missing field name", schema: fieldSchema({type: "int"}),
+		error: 'SchemaParseException: No field name: {"type":"int"}'},
+	{name: "missing field type", schema: fieldSchema({name: "a"}),
+		error: 'SchemaParseException: No field type: {"name":"a"}'},
+	{name: "missing fields", schema: '{"type": "record", "name": "R"}',
+		error: /^SchemaParseException: Record has no fields: /},
+	{name: "missing symbols", schema: '{"type": "enum", "name": "E"}',
+		error: /^SchemaParseException: Enum has no symbols: /},
+	{name: "enum default not a symbol", schema: '{"type": "enum", "name": "employment", "symbols": ["PART_TIME", "FULL_TIME"], "default": "QUASI_TIME"}',
+		error: 'SchemaParseException: The Enum Default: QUASI_TIME is not in the enum symbol set: ["PART_TIME", "FULL_TIME"]'},
+	{name: "duplicate enum symbol", schema: '{"type": "enum", "name": "employment", "symbols": ["PART_TIME", "PART_TIME"]}',
+		error: "SchemaParseException: Duplicate enum symbol: PART_TIME"},
+	{name: "illegal initial character", schema: '{"type": "fixed", "name": "3a", "size": 4}',
+		error: "SchemaParseException: Illegal initial character: 3a"},
+	{name: "illegal character", schema: '{"type": "fixed", "name": "h@t", "size": 4}',
+		error: "SchemaParseException: Illegal character in: h@t"}
+];
+
+/**
+	Field defaults, as checked by Schema.validateDefault, with the exception
+	class if they are invalid. The parser converts string defaults of float
+	fields to numbers first, so "bear" fails the conversion there.
+*/
+var defaultCases = [
+	["string", "fish", true], ["string", 3, false], ["string", ["a"], false],
+	["int", 1234, true], ["int", 4294967296, false], ["int", "bear", false],
+	["long", 4294967296, true], ["long", [1], false], ["long", "bear", false],
+	["float", 4294967296.123112431, true], ["float", 1234, false], ["float", "bear", "ConvException"],
+	["boolean", true, true], ["boolean", false, true], ["boolean", 1, false],
+	["null", null, true], ["null", 1, false],
+	[{type: "array", items: "int"}, [3, 4], true], [{type: "array", items: "int"}, ["a"], false], [{type: "array", items: "int"}, "a", false],
+	[{type: "map", values: "int"}, {a: 3}, true], [{type: "map", values: "int"}, [3, 4], false], [{type: "map", values: "int"}, "a", false],
+	[["string", "int"], "a", true], [["string", "int"], {a: 3}, false], [["string", "int"], 3, false]
+];
+var recordType = {type: "record", name: "record", fields: [{name: "a", type: "int", default: 3}, {name: "b", type: "string", default: "ab"}]};
+defaultCases.push([recordType, {a: 3, b: "ab"}, true], [recordType, {a: "ab", b: "ab"}, false], [recordType, 3, false]);
+
+function main()
+{
+	var failures = [];
+	var run = function(name, check) {
+		try {
+			check();
+		} catch (e) {
+			failures.push(name + ": " + e.message);
+		}
+	};
+
+	validCases.forEach(function(c) {
+		run(c.name, function() { c.check(schemaparser.parseAvroSchema(c.schema)); });
+	});
+	invalidCases.forEach(function(c) {
+		run(c.name, function() {
+			assert.throws(function() { schemaparser.parseAvroSchema(c.schema); }, function(e) {
+				var error = e.name + ": " + e.message;
+				if (typeof(c.error) == "string") assert.strictEqual(error, c.error);
+				else assert.match(error, c.error);
+				return true;
+			});
+		});
+	});
+	defaultCases.forEach(function(c) {
+		var schema = fieldSchema({name: "f", type: c[0], default: c[1]});
+		run("default " + JSON.stringify(c[1]) + " of " + JSON.stringify(c[0]), function() {
+			if (c[2] === true) schemaparser.parseAvroSchema(schema);
+			else assert.throws(function() { schemaparser.parseAvroSchema(schema); }, {name: c[2] || "AvroTypeException"});
+		});
+	});
+
+	failures.forEach(function(failure) { console.log("FAILED " + failure); });
+	var count = validCases.length + invalidCases.length + defaultCases.length;
+	console.log((count - failures.length) + " of " + count + " schema parser cases passed");
+	return failures.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
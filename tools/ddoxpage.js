@@ -0,0 +1,120 @@
+/**
+	Helpers for extracting information from the HTML pages generated by DDOX.
+
+	The generated markup is regular enough that a few regular expressions are
+	sufficient, which keeps the tools free of any dependencies.
+*/
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var entities = {amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", hellip: "\u2026"};
+
+function decodeEntities(str)
+{
+	return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function(m, e) {
+		if (e.charAt(0) == "#")
+			return String.fromCharCode(e.charAt(1).toLowerCase() == "x" ? parseInt(e.substr(2), 16) : parseInt(e.substr(1), 10));
+		return entities.hasOwnProperty(e) ? entities[e] : m;
+	});
+}
+
+// Removes all tags and collapses white space.
+function stripTags(html)
+{
+	return decodeEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+// Loads the symbol list of a documentation directory.
+function loadSymbols(docsDir)
+{
+	return loadScriptVariable(docsDir, "symbols.js", "symbols");
+}
+
+// Returns the global variable defined by a script of a documentation directory, or null if the script does not exist.
+function loadScriptVariable(docsDir, file, name)
+{
+	var fullpath = path.join(docsDir, file);
+	if (!fs.existsSync(fullpath)) return null;
+	var context = {};
+	vm.runInNewContext(fs.readFileSync(fullpath, "utf8"), context);
+	return context.hasOwnProperty(name) ? context[name] : null;
+}
+
+// Returns the contents of the <div id="main-contents"> element without the footer.
+function getMainContents(html)
+{
+	var start = html.indexOf('<div id="main-contents">');
+	if (start < 0) return "";
+	var end = html.indexOf("<footer>", start);
+	return html.substring(start, end < 0 ? html.length : end);
+}
+
+// Returns the stripped text of all <p> elements, excluding code examples.
+function getParagraphs(contents)
+{
+	var ret = [];
+	var re = /<p>([\s\S]*?)<\/p>/g, m;
+	while ((m = re.exec(contents.replace(/<pre[\s\S]*?<\/pre>/g, ""))) !== null) {
+		var text = stripTags(m[1]);
+		if (text.length > 0) ret.push(text);
+	}
+	return ret;
+}
+
+// Returns the names and descriptions of the "Parameters" sections.
+function getParameters(contents)
+{
+	var ret = [];
+	var sections = contents.match(/<section><h2>Parameters<\/h2>[\s\S]*?<\/section>/g) || [];
+	for (var i = 0; i < sections.length; i++) {
+		var re = /<tr><td id="([^"]*)">[\s\S]*?<\/td><td>([\s\S]*?)<\/td><\/tr>/g, m;
+		while ((m = re.exec(sections[i])) !== null)
+			ret.push({name: decodeEntities(m[1]), description: stripTags(m[2])});
+	}
+	return ret;
+}
+
+// Returns the HTML of each declaration prototype on the page.
+function getPrototypes(contents)
+{
+	var ret = [];
+	var re = /<div class="single-prototype">([\s\S]*?)<\/div>/g, m;
+	while ((m = re.exec(contents)) !== null)
+		ret.push(m[1]);
+	return ret;
+}
+
+// Returns the parameter names declared in a function prototype.
+function getPrototypeParameters(prototype)
+{
+	var ret = [];
+	var lines = prototype.split(/<br\/>/);
+	for (var i = 0; i < lines.length; i++) {
+		if (lines[i].indexOf("&nbsp;&nbsp;") < 0) continue;
+		var names = lines[i].match(/<span class="pln">[^<]*<\/span>/g);
+		if (names) ret.push(stripTags(names[names.length-1]));
+	}
+	return ret;
+}
+
+// Returns the description of an entry of a member table, as used for enum members.
+function getTableEntry(contents, id)
+{
+	var re = new RegExp('<td id="' + id.replace(/[^\w]/g, "\\$&") + '">[\\s\\S]*?</td>\\s*<td>([\\s\\S]*?)</td>');
+	var m = re.exec(contents);
+	return m ? stripTags(m[1]) : "";
+}
+
+module.exports = {
+	decodeEntities: decodeEntities,
+	stripTags: stripTags,
+	loadSymbols: loadSymbols,
+	loadScriptVariable: loadScriptVariable,
+	getMainContents: getMainContents,
+	getParagraphs: getParagraphs,
+	getParameters: getParameters,
+	getPrototypes: getPrototypes,
+	getPrototypeParameters: getPrototypeParameters,
+	getTableEntry: getTableEntry
+};